@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+import { writeFile } from "node:fs/promises";
+import { check, formatReport } from "../kata.js";
+
+const usage = `Usage: asynk-kata check [solution.js] [--report report.json]
+
+Runs the kata tests against the asynk exported by solution.js (main.js by
+default), prints which requirements of the README it meets, with hints for
+those it does not, and writes a JSON score report (asynk-kata-report.json
+by default).`;
+
+const [command, ...args] = process.argv.slice(2);
+if (command !== "check") {
+	console.error(usage);
+	process.exit(command === "--help" || command === "-h" ? 0 : 1);
+}
+
+let solution = "main.js";
+let reportPath = "asynk-kata-report.json";
+for (let i = 0; i < args.length; i += 1) {
+	if (args[i] === "--report") {
+		i += 1;
+		reportPath = args[i];
+	} else {
+		solution = args[i];
+	}
+}
+
+const report = await check(solution);
+console.log(formatReport(report));
+await writeFile(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+console.log(`\nScore report written to ${reportPath}`);
+const { requirements, totalRequirements } = report.score;
+process.exit(requirements === totalRequirements ? 0 : 1);
@@ -0,0 +1,143 @@
+// Conformance of asynk to the timing of native async functions: a scenario
+// is a few random programs started at once, some as async functions and
+// some as asynk tasks, each nesting calls of either kind and logging to the
+// same list. Run again with every function an async function, the scenario
+// must log the same things in the same order, one microtask after the
+// other, and its programs settle in the same order.
+
+import {
+	compile,
+	randomProgram,
+	seededRandom,
+	shrink,
+	toSource,
+} from "./differential.js";
+
+/**
+ * Returns a scenario of `tasks` random programs, with blocks nested up to
+ * `depth` levels, each having the `flavor` it starts as.
+ */
+export const randomScenario = (random, { tasks = 3, depth = 2 } = {}) =>
+	Array.from({ length: tasks }, () => ({
+		flavor: random() < 0.5 ? "async" : "asynk",
+		...randomProgram(random, depth, { mixed: true }),
+	}));
+
+// Starts every program of `scenario` at once, each as async functions only
+// when `native`, and returns what they logged, tagged with the index of the
+// program, up to when each of them settled.
+const interleave = async (scenario, asynk, native) => {
+	const log = [];
+	await Promise.all(
+		scenario.map((program, i) => {
+			const tagged = { push: (x) => log.push(`t${i} ${x}`) };
+			const start = compile(
+				program,
+				native ? "async" : program.flavor,
+				tagged,
+				asynk,
+				{ flavors: !native },
+			);
+			return start().then(
+				(value) => tagged.push(`fulfilled ${value}`),
+				(reason) => tagged.push(`rejected ${reason}`),
+			);
+		}),
+	);
+	return log;
+};
+
+/**
+ * Runs `scenario` with async functions only, then as it is written, and
+ * returns both logs if they differ, or null.
+ */
+export const compareInterleavings = async (scenario, asynk) => {
+	const expected = await interleave(scenario, asynk, true);
+	const actual = await interleave(scenario, asynk, false);
+	return expected.join() === actual.join() ? null : { expected, actual };
+};
+
+// Simpler versions of a scenario: without one of its programs, or with one
+// of them started as an async function rather than an asynk task.
+function* simpler(scenario) {
+	for (let i = 0; i < scenario.length; i += 1) {
+		yield scenario.filter((_, j) => j !== i);
+		if (scenario[i].flavor === "asynk") {
+			yield scenario.map((x, j) => (j === i ? { ...x, flavor: "async" } : x));
+		}
+	}
+}
+
+/**
+ * Shrinks a scenario for which `fails(scenario)` resolves to true: first by
+ * dropping programs or starting them as async functions, then by shrinking
+ * each program in turn.
+ */
+export const shrinkScenario = async (scenario, fails) => {
+	let current = scenario;
+	for (let shrunk = true; shrunk; ) {
+		shrunk = false;
+		for (const candidate of simpler(current)) {
+			if (await fails(candidate)) {
+				current = candidate;
+				shrunk = true;
+				break;
+			}
+		}
+	}
+	for (let i = 0; i < current.length; i += 1) {
+		const others = current;
+		const program = await shrink(current[i], (candidate) =>
+			fails(others.map((x, j) => (j === i ? candidate : x))),
+		);
+		current = current.map((x, j) => (j === i ? program : x));
+	}
+	return current;
+};
+
+// The source of a program of a scenario, started as its flavor.
+const scenarioSource = (program, i) =>
+	program.flavor === "asynk"
+		? `// t${i}\nasynk(function* () {\n${toSource(program, "asynk")}\n});`
+		: `// t${i}\n(async () => {\n${toSource(program)}\n})();`;
+
+/**
+ * Runs `runs` random scenarios, starting from `seed`, and throws an error
+ * showing the smallest scenario found for which asynk tasks interleave
+ * differently than async functions would, if any.
+ */
+export const checkConformance = async ({
+	asynk,
+	runs = 100,
+	seed = 1,
+	tasks = 3,
+	depth = 2,
+}) => {
+	const random = seededRandom(seed);
+	for (let i = 0; i < runs; i += 1) {
+		const scenario = randomScenario(random, { tasks, depth });
+		if (!(await compareInterleavings(scenario, asynk))) {
+			continue;
+		}
+		const minimal = await shrinkScenario(
+			scenario,
+			async (candidate) =>
+				(await compareInterleavings(candidate, asynk)) !== null,
+		);
+		const { expected, actual } = await compareInterleavings(minimal, asynk);
+		const err = new Error(
+			[
+				`asynk tasks and async functions interleave differently in scenario #${
+					i + 1
+				} of seed ${seed}, which shrinks to:`,
+				"",
+				...minimal.map(scenarioSource),
+				"",
+				`async: ${expected.join(", ")}`,
+				`asynk: ${actual.join(", ")}`,
+			].join("\n"),
+		);
+		err.scenario = minimal;
+		throw err;
+	}
+};
@@ -0,0 +1,230 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import {
+	checkConformance,
+	compareInterleavings,
+	randomScenario,
+} from "./conformance.js";
+import { seededRandom } from "./differential.js";
+import { AbortError, ParallelError, asynk, fork } from "./main.js";
+
+const timeout = (x, resolve = true) =>
+	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
+
+// An async function awaiting an asynk task, next to another async function.
+const awaitingAsynk = [
+	{
+		flavor: "async",
+		body: [{ type: "call", id: 1, body: [], flavor: "asynk" }],
+	},
+	{ flavor: "async", body: [] },
+];
+
+// Runs `f(log)` next to an async function logging every microtask.
+const withTicks = async (f) => {
+	const log = [];
+	const ticks = async () => {
+		for (let i = 0; i < 5; i += 1) {
+			log.push(`tick ${i}`);
+			await null;
+		}
+	};
+	await Promise.all([f(log), ticks()]);
+	return log;
+};
+
+// Runs `f` with fidelity mode off.
+const withoutFidelity = async (f) => {
+	asynk.fidelity(false);
+	try {
+		return await f();
+	} finally {
+		asynk.fidelity();
+	}
+};
+
+describe("Conformance to the timing of async functions", () => {
+	beforeAll(() => asynk.fidelity());
+	afterAll(() => asynk.fidelity(false));
+
+	it("Should interleave with async functions the way async functions do", async () => {
+		const seed = Number(process.env.ASYNK_SEED) || Date.now();
+		await checkConformance({ asynk, runs: 200, seed });
+	});
+
+	it("Should generate the same scenarios from the same seed", () => {
+		const scenario = randomScenario(seededRandom(42));
+		expect(scenario).toEqual(randomScenario(seededRandom(42)));
+		expect(scenario).toHaveLength(3);
+		for (const { flavor } of scenario) {
+			expect(["async", "asynk"]).toContain(flavor);
+		}
+	});
+
+	it("Should only take longer to await an asynk task outside of fidelity mode", async () => {
+		expect(await compareInterleavings(awaitingAsynk, asynk)).toBeNull();
+		expect(
+			await withoutFidelity(() => compareInterleavings(awaitingAsynk, asynk)),
+		).toEqual({
+			expected: [
+				"t0 s1 undefined",
+				"t1 fulfilled undefined",
+				"t0 fulfilled undefined",
+			],
+			actual: [
+				"t1 fulfilled undefined",
+				"t0 s1 undefined",
+				"t0 fulfilled undefined",
+			],
+		});
+	});
+
+	it("Should shrink a scenario to a minimal reproduction", async () => {
+		const err = await withoutFidelity(() =>
+			checkConformance({ asynk, runs: 100, seed: 1 }).then(
+				() => null,
+				(x) => x,
+			),
+		);
+		expect(err).toBeInstanceOf(Error);
+		expect(err.message).toMatch(
+			/^asynk tasks and async functions interleave differently in scenario #\d+ of seed 1/,
+		);
+		expect(err.message).toContain("await asynk(function* () {");
+		expect(err.scenario.length).toBeLessThanOrEqual(2);
+		expect(await compareInterleavings(err.scenario, asynk)).toBeNull();
+	});
+
+	it("Should resume from parallel yields when await Promise.all would", async () => {
+		const err = new Error("ERROR");
+		const expected = await withTicks(async (log) => {
+			log.push(await Promise.all([Promise.resolve(1), timeout(2)]));
+			log.push(await Promise.all([]));
+			await Promise.all([Promise.reject(err)]).catch((e) => log.push(e));
+		});
+		const actual = await withTicks((log) =>
+			asynk(function* () {
+				log.push(yield [Promise.resolve(1), timeout(2)]);
+				log.push(yield []);
+				try {
+					yield [Promise.reject(err)];
+				} catch (e) {
+					expect(e).toBeInstanceOf(ParallelError);
+					log.push(e.cause);
+				}
+			}),
+		);
+		expect(actual).toEqual(expected);
+	});
+
+	it("Should keep asynk promises cancellable", async () => {
+		const result = asynk(function* () {
+			yield new Promise(() => {});
+		});
+		expect(Promise.resolve(result)).toBe(result);
+		result.cancel();
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+	});
+
+	it("Should not report rejections native code awaited", async () => {
+		asynk.onUnhandledRejection("collect");
+		try {
+			const err = new Error("ERROR");
+			const caught = await (async () => {
+				try {
+					await asynk(function* () {
+						yield timeout();
+						throw err;
+					});
+				} catch (e) {
+					return e;
+				}
+			})();
+			expect(caught).toBe(err);
+			await timeout();
+			expect(asynk.unhandledRejections()).toEqual([]);
+		} finally {
+			asynk.onUnhandledRejection("throw");
+		}
+	});
+
+	it("Should never report cancelled tasks", async () => {
+		const reported = [];
+		const report = (reason) => reported.push(reason);
+		process.on("unhandledRejection", report);
+		try {
+			asynk(function* () {
+				yield new Promise(() => {});
+			}).cancel();
+			await timeout();
+			await timeout();
+			expect(reported).toEqual([]);
+		} finally {
+			process.off("unhandledRejection", report);
+		}
+	});
+
+	it("Should leave rejections only asynk waited on to the host", async () => {
+		const err = new Error("ERROR");
+		const failing = function* () {
+			yield timeout();
+			throw err;
+		};
+		// The test runner's own listeners would fail the test.
+		const listeners = process.listeners("unhandledRejection");
+		process.removeAllListeners("unhandledRejection");
+		const reported = [];
+		const report = (reason) => reported.push(reason);
+		process.on("unhandledRejection", report);
+		try {
+			await asynk(function* () {
+				yield fork(failing);
+			});
+			asynk.pool({ concurrency: 1 }).run(failing);
+			await timeout();
+			await timeout();
+			expect(reported).toEqual([err, err]);
+		} finally {
+			process.off("unhandledRejection", report);
+			for (const listener of listeners) {
+				process.on("unhandledRejection", listener);
+			}
+		}
+	});
+
+	it("Should keep the mode a task was started in", async () => {
+		const err = new Error("ERROR");
+		const failing = () =>
+			asynk(function* () {
+				yield timeout();
+				throw err;
+			});
+		const reported = [];
+		const report = (reason) => reported.push(reason);
+		process.on("unhandledRejection", report);
+		asynk.onUnhandledRejection("collect");
+		try {
+			asynk.fidelity(false);
+			const before = failing();
+			asynk.fidelity();
+			const during = failing();
+			asynk.fidelity(false);
+			expect(before.constructor).not.toBe(Promise);
+			expect(during.constructor).toBe(Promise);
+			await Promise.all(
+				[before, during].map(async (result) => {
+					try {
+						await result;
+					} catch (_) {}
+				}),
+			);
+			await timeout();
+			await timeout();
+			expect(asynk.unhandledRejections()).toEqual([]);
+			expect(reported).toEqual([]);
+		} finally {
+			asynk.fidelity();
+			asynk.onUnhandledRejection("throw");
+			process.off("unhandledRejection", report);
+		}
+	});
+});
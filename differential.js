@@ -0,0 +1,360 @@
+import { thenable } from "./interop.js";
+
+// Differential testing of asynk against native async functions: random
+// programs are written both as an `async function` and as an asynk
+// generator, and must settle the same way after logging the same things.
+//
+// A program is a list of statements:
+//   - { type: "log", id }, logging its id.
+//   - { type: "await", id, kind: "resolve" | "reject" | "thenable", ms },
+//     awaiting a Promise settling after `ms` milliseconds (0 for an already
+//     settled one), or a thenable resolving right away, and logging what it
+//     resolved to.
+//   - { type: "throw", id }
+//   - { type: "return", id, kind: "value" | "resolve" | "reject", ms },
+//     returning a value or a Promise settling after `ms` milliseconds.
+//   - { type: "try", id, body, catch, finally }, with `catch` or `finally`
+//     being null when absent. The catch block logs what it caught first.
+//   - { type: "call", id, body, flavor }, awaiting a nested async function
+//     (or asynk task) and logging what it returned. With a `flavor`, the
+//     nested function is of that kind whatever the one calling it.
+
+// A seeded pseudo-random number generator (mulberry32), returning numbers
+// in [0, 1), so that a failing run can be repeated.
+export const seededRandom = (seed) => {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+};
+
+const pick = (random, xs) => xs[Math.floor(random() * xs.length)];
+
+/**
+ * Returns a random program, with blocks nested up to `depth` levels. A
+ * `mixed` program also awaits thenables, nests calls of either flavor, and
+ * only awaits settled Promises, so that it runs within a single macrotask.
+ */
+export const randomProgram = (random, depth = 3, { mixed = false } = {}) => {
+	let nextId = 1;
+	const statements = (level) =>
+		Array.from({ length: 1 + Math.floor(random() * 4) }, () =>
+			statement(level),
+		);
+	const statement = (level) => {
+		const id = nextId;
+		nextId += 1;
+		const types = ["log", "await", "await", "throw", "return"];
+		if (level < depth) {
+			types.push("try", "try", "call");
+		}
+		const type = pick(random, types);
+		switch (type) {
+			case "await":
+				return {
+					type,
+					id,
+					kind: pick(
+						random,
+						mixed
+							? ["resolve", "resolve", "reject", "thenable"]
+							: ["resolve", "resolve", "reject"],
+					),
+					ms: mixed ? 0 : pick(random, [0, 0, 1]),
+				};
+			case "return":
+				return {
+					type,
+					id,
+					kind: pick(random, ["value", "resolve", "reject"]),
+					ms: mixed ? 0 : pick(random, [0, 1]),
+				};
+			case "try": {
+				const clauses = pick(random, ["catch", "finally", "both"]);
+				return {
+					type,
+					id,
+					body: statements(level + 1),
+					catch: clauses === "finally" ? null : statements(level + 1),
+					finally: clauses === "catch" ? null : statements(level + 1),
+				};
+			}
+			case "call":
+				return mixed
+					? {
+							type,
+							id,
+							body: statements(level + 1),
+							flavor: pick(random, ["async", "asynk"]),
+						}
+					: { type, id, body: statements(level + 1) };
+			default:
+				return { type, id };
+		}
+	};
+	return { body: statements(0) };
+};
+
+// The source of a value, or of a Promise or thenable settling with it,
+// wrapped with `thenable()` for a generator to yield.
+const settling = (value, { kind, ms }, flavor) => {
+	switch (kind) {
+		case "value":
+			return `"${value}"`;
+		case "thenable":
+			return flavor === "asynk"
+				? `thenable(thenableOf("${value}"))`
+				: `thenableOf("${value}")`;
+		default:
+			return `${
+				kind === "resolve" ? "resolveAfter" : "rejectAfter"
+			}("${value}", ${ms})`;
+	}
+};
+
+/**
+ * Writes `program` as the source of an `async function` body, or of an
+ * asynk generator body when `flavor` is "asynk". Nested calls keep the
+ * flavor they were given, unless `flavors` is false.
+ */
+export const toSource = (
+	program,
+	flavor = "async",
+	{ flavors = true } = {},
+) => {
+	const block = (statements, indent, outer) =>
+		statements.map((x) => line(x, indent, outer)).join("\n");
+	const line = (statement, indent, outer) => {
+		const wait = outer === "asynk" ? "yield" : "await";
+		const pad = "  ".repeat(indent);
+		const { type, id } = statement;
+		switch (type) {
+			case "log":
+				return `${pad}log.push("s${id}");`;
+			case "await":
+				return `${pad}log.push("s${id} " + (${wait} ${settling(
+					`v${id}`,
+					statement,
+					outer,
+				)}));`;
+			case "throw":
+				return `${pad}throw "e${id}";`;
+			case "return":
+				return `${pad}return ${settling(`r${id}`, statement, outer)};`;
+			case "try":
+				return [
+					`${pad}try {`,
+					block(statement.body, indent + 1, outer),
+					...(statement.catch
+						? [
+								`${pad}} catch (e) {`,
+								`${pad}  log.push("s${id} caught " + e);`,
+								block(statement.catch, indent + 1, outer),
+							]
+						: []),
+					...(statement.finally
+						? [`${pad}} finally {`, block(statement.finally, indent + 1, outer)]
+						: []),
+					`${pad}}`,
+				]
+					.filter((x) => x !== "")
+					.join("\n");
+			case "call": {
+				const inner = (flavors && statement.flavor) || outer;
+				const nested =
+					inner === "asynk"
+						? `asynk(function* () {\n${block(
+								statement.body,
+								indent + 1,
+								inner,
+							)}\n${pad}})`
+						: `(async () => {\n${block(
+								statement.body,
+								indent + 1,
+								inner,
+							)}\n${pad}})()`;
+				return `${pad}log.push("s${id} " + (${wait} ${nested}));`;
+			}
+			default:
+				throw new TypeError(`Unknown statement type ${type}`);
+		}
+	};
+	return block(program.body, 1, flavor);
+};
+
+const resolveAfter = (value, ms) =>
+	ms === 0
+		? Promise.resolve(value)
+		: new Promise((resolve) => setTimeout(resolve, ms, value));
+
+// Programs may drop rejected Promises, as when a finally block throws over a
+// returned one, which is not what is being compared.
+const rejectAfter = (value, ms) => {
+	const promise =
+		ms === 0
+			? Promise.reject(value)
+			: new Promise((_, reject) => setTimeout(reject, ms, value));
+	promise.catch(() => {});
+	return promise;
+};
+
+// A thenable, which is not a Promise, resolving as soon as it is followed.
+const thenableOf = (value) => ({
+	then(resolve) {
+		resolve(value);
+	},
+});
+
+/**
+ * Returns a function starting `program` as `flavor`, and returning its
+ * Promise. It pushes what it logs to `log`.
+ */
+export const compile = (program, flavor, log, asynk, options) => {
+	const body = toSource(program, flavor, options);
+	const source =
+		flavor === "asynk"
+			? `return () => asynk(function* () {\n${body}\n});`
+			: `return async () => {\n${body}\n};`;
+	return new Function(
+		"log",
+		"resolveAfter",
+		"rejectAfter",
+		"thenableOf",
+		"thenable",
+		"asynk",
+		source,
+	)(log, resolveAfter, rejectAfter, thenableOf, thenable, asynk);
+};
+
+// Runs `program` as `flavor`, and returns what it logged and how it settled.
+const run = async (program, flavor, asynk) => {
+	const log = [];
+	const start = compile(program, flavor, log, asynk);
+	try {
+		return { log, status: "fulfilled", value: await start() };
+	} catch (reason) {
+		return { log, status: "rejected", reason: String(reason) };
+	}
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Runs `program` as an async function and with `asynk`, and returns both
+ * results if they differ, or null.
+ */
+export const compare = async (program, asynk) => {
+	const expected = await run(program, "async", asynk);
+	const actual = await run(program, "asynk", asynk);
+	return same(expected, actual) ? null : { expected, actual };
+};
+
+// Simpler versions of a list of statements: without one of them, or with
+// one of them simplified.
+function* variants(statements) {
+	for (let i = 0; i < statements.length; i += 1) {
+		const before = statements.slice(0, i);
+		const after = statements.slice(i + 1);
+		yield [...before, ...after];
+		for (const replacement of simplified(statements[i])) {
+			yield [...before, ...replacement, ...after];
+		}
+	}
+}
+
+// Simpler replacements for a statement, each a list of statements.
+function* simplified(statement) {
+	if (statement.type === "try") {
+		yield statement.body;
+		for (const clause of [statement.catch, statement.finally]) {
+			if (clause) {
+				yield clause;
+			}
+		}
+		if (statement.catch && statement.finally) {
+			yield [{ ...statement, catch: null }];
+			yield [{ ...statement, finally: null }];
+		}
+		for (const clause of ["body", "catch", "finally"]) {
+			for (const statements of variants(statement[clause] ?? [])) {
+				yield [{ ...statement, [clause]: statements }];
+			}
+		}
+	}
+	if (statement.type === "call") {
+		yield statement.body;
+		if (statement.flavor !== undefined) {
+			yield [{ ...statement, flavor: undefined }];
+		}
+		for (const body of variants(statement.body)) {
+			yield [{ ...statement, body }];
+		}
+	}
+	if (statement.type === "return" && statement.kind !== "value") {
+		yield [{ ...statement, kind: "value", ms: 0 }];
+	}
+	if (statement.kind === "thenable") {
+		yield [{ ...statement, kind: "resolve" }];
+	}
+	if (statement.ms > 0) {
+		yield [{ ...statement, ms: 0 }];
+	}
+}
+
+/**
+ * Shrinks a program for which `fails(program)` resolves to true, by trying
+ * simpler versions of it until none of them fail anymore.
+ */
+export const shrink = async (program, fails) => {
+	let current = program;
+	for (let shrunk = true; shrunk; ) {
+		shrunk = false;
+		for (const body of variants(current.body)) {
+			const candidate = { ...current, body };
+			if (await fails(candidate)) {
+				current = candidate;
+				shrunk = true;
+				break;
+			}
+		}
+	}
+	return current;
+};
+
+/**
+ * Runs `runs` random programs both as async functions and with `asynk`,
+ * starting from `seed`. Throws an error showing the smallest program they
+ * disagree on, if any.
+ */
+export const check = async ({ asynk, runs = 100, seed = 1, depth = 3 }) => {
+	const random = seededRandom(seed);
+	for (let i = 0; i < runs; i += 1) {
+		const program = randomProgram(random, depth);
+		if (!(await compare(program, asynk))) {
+			continue;
+		}
+		const minimal = await shrink(
+			program,
+			async (candidate) => (await compare(candidate, asynk)) !== null,
+		);
+		const { expected, actual } = await compare(minimal, asynk);
+		const err = new Error(
+			[
+				`asynk and async disagree on program #${
+					i + 1
+				} of seed ${seed}, which shrinks to:`,
+				"",
+				`async () => {\n${toSource(minimal)}\n}`,
+				"",
+				`async: ${JSON.stringify(expected)}`,
+				`asynk: ${JSON.stringify(actual)}`,
+			].join("\n"),
+		);
+		err.program = minimal;
+		throw err;
+	}
+};
@@ -0,0 +1,125 @@
+import { describe, expect, it } from "vitest";
+import {
+	check,
+	compare,
+	randomProgram,
+	seededRandom,
+	shrink,
+	toSource,
+} from "./differential.js";
+import { asynk } from "./main.js";
+
+// An asynk that forgets to throw rejections back into the generator.
+const naiveAsynk = (f) =>
+	new Promise((resolve, reject) => {
+		const generator = f();
+		const step = (value) => {
+			let result;
+			try {
+				result = generator.next(value);
+			} catch (err) {
+				reject(err);
+				return;
+			}
+			if (result.done) {
+				resolve(result.value);
+			} else {
+				result.value.then(step, reject);
+			}
+		};
+		step();
+	});
+
+describe("Differential testing against async functions", () => {
+	it("Should write the same program as an async function and a generator", () => {
+		const program = {
+			body: [
+				{
+					type: "try",
+					id: 1,
+					body: [{ type: "await", id: 2, kind: "reject", ms: 0 }],
+					catch: [{ type: "return", id: 3, kind: "resolve", ms: 1 }],
+					finally: null,
+				},
+				{ type: "throw", id: 4 },
+			],
+		};
+		expect(toSource(program)).toBe(
+			[
+				"  try {",
+				'    log.push("s2 " + (await rejectAfter("v2", 0)));',
+				"  } catch (e) {",
+				'    log.push("s1 caught " + e);',
+				'    return resolveAfter("r3", 1);',
+				"  }",
+				'  throw "e4";',
+			].join("\n"),
+		);
+		expect(toSource(program, "asynk")).toContain(
+			'log.push("s2 " + (yield rejectAfter("v2", 0)));',
+		);
+	});
+
+	it("Should generate the same programs from the same seed", () => {
+		const programs = (seed) => {
+			const random = seededRandom(seed);
+			return Array.from({ length: 5 }, () => randomProgram(random));
+		};
+		expect(programs(42)).toEqual(programs(42));
+		expect(programs(42)).not.toEqual(programs(43));
+	});
+
+	it("Should find the same outcomes and logs as async functions", async () => {
+		const seed = Number(process.env.ASYNK_SEED) || Date.now();
+		await check({ asynk, runs: 200, seed });
+	});
+
+	it("Should report how they differ", async () => {
+		const program = {
+			body: [
+				{ type: "log", id: 1 },
+				{
+					type: "try",
+					id: 2,
+					body: [{ type: "await", id: 3, kind: "reject", ms: 1 }],
+					catch: [],
+					finally: null,
+				},
+			],
+		};
+		expect(await compare(program, asynk)).toBeNull();
+		expect(await compare(program, naiveAsynk)).toEqual({
+			expected: {
+				log: ["s1", "s2 caught v3"],
+				status: "fulfilled",
+			},
+			actual: { log: ["s1"], status: "rejected", reason: "v3" },
+		});
+	});
+
+	it("Should shrink a failing program to a minimal reproduction", async () => {
+		const err = await check({ asynk: naiveAsynk, runs: 100, seed: 1 }).then(
+			() => null,
+			(x) => x,
+		);
+		expect(err).toBeInstanceOf(Error);
+		expect(err.message).toMatch(/^asynk and async disagree on program #\d+/);
+		const fails = async (x) => (await compare(x, naiveAsynk)) !== null;
+		expect(await fails(err.program)).toBe(true);
+		expect(await shrink(err.program, fails)).toBe(err.program);
+		expect(await compare(err.program, asynk)).toBeNull();
+		expect(JSON.stringify(err.program).match(/"type"/g).length).toBeLessThan(4);
+		expect(err.message).toContain(toSource(err.program));
+	});
+
+	it("Should stop shrinking when no simpler program fails", async () => {
+		const program = randomProgram(seededRandom(7));
+		const minimal = await shrink(program, async ({ body }) =>
+			body.some((x) => x.type === "log"),
+		);
+		expect(minimal).toEqual({
+			body: [{ type: "log", id: expect.any(Number) }],
+		});
+		expect(await shrink(program, async () => false)).toBe(program);
+	});
+});
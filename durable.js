@@ -0,0 +1,200 @@
+import { isEffect } from "./effects.js";
+
+/**
+ * Rejection reason of a durable task whose generator does not yield what
+ * its journal recorded, such as after its code changed between runs.
+ */
+export class NonDeterminismError extends Error {
+	constructor(message, options) {
+		super(message ?? "The generator did not replay its journal", options);
+		this.name = "NonDeterminismError";
+	}
+}
+
+const serialize = (x) => {
+	try {
+		return JSON.stringify(x) ?? String(x);
+	} catch (_) {
+		return "?";
+	}
+};
+
+/**
+ * Describes a yielded value well enough to tell whether a replayed generator
+ * yields the same thing it yielded when it was recorded: the type, function
+ * and arguments of effects, and the shape of arrays, objects and Maps.
+ */
+export const fingerprint = (value) => {
+	if (isEffect(value)) {
+		const fn = value.fn ?? value.operation;
+		const details = value.type === "delay" ? [value.ms] : value.args ?? [];
+		return `${value.type}${fn?.name ? ` ${fn.name}` : ""}(${details
+			.map(serialize)
+			.join(", ")})`;
+	}
+	if (value instanceof Promise) {
+		return "Promise";
+	}
+	if (Array.isArray(value)) {
+		return `[${value.map(fingerprint).join(", ")}]`;
+	}
+	if (value instanceof Map) {
+		const entries = [...value].map(
+			([k, v]) => `${serialize(k)} => ${fingerprint(v)}`,
+		);
+		return `Map {${entries.join(", ")}}`;
+	}
+	if (value !== null && typeof value === "object") {
+		const entries = Object.entries(value).map(
+			([k, v]) => `${k}: ${fingerprint(v)}`,
+		);
+		return `{${entries.join(", ")}}`;
+	}
+	return String(value);
+};
+
+// Errors are journaled by name, message and stack, and come back as plain
+// Errors. Anything else thrown is journaled as is.
+const serializeError = (err) =>
+	err instanceof Error
+		? { name: err.name, message: err.message, stack: err.stack }
+		: { thrown: err };
+
+const deserializeError = (error) => {
+	if ("thrown" in error) {
+		return error.thrown;
+	}
+	const err = new Error(error.message);
+	err.name = error.name;
+	err.stack = error.stack;
+	return err;
+};
+
+/**
+ * The record of how each `yield` of a durable task was resumed, loaded from
+ * `store` under `id`. The first `entries.length` yields are replayed from it,
+ * and the following ones are appended to it.
+ */
+export class Journal {
+	constructor(id, store, entries) {
+		this.id = id;
+		this.store = store;
+		this.entries = entries;
+		this.position = 0;
+	}
+
+	get replaying() {
+		return this.position < this.entries.length;
+	}
+
+	// Returns the generator method and argument the `yield` of `value` was
+	// resumed with when it was recorded, instead of waiting on `value`.
+	replay(value) {
+		const entry = this.entries[this.position];
+		this.position += 1;
+		const yielded = fingerprint(value);
+		if (yielded !== entry.yielded) {
+			throw new NonDeterminismError(
+				`Yield #${entry.step} of durable task ${this.id} was recorded as ${entry.yielded}, but replayed as ${yielded}`,
+			);
+		}
+		if (value instanceof Promise) {
+			// What it settles with no longer matters, even a rejection.
+			value.then(undefined, () => {});
+		}
+		return entry.outcome === "throw"
+			? ["throw", deserializeError(entry.error)]
+			: ["next", entry.value];
+	}
+
+	// Appends how the `yield` of `value` is about to be resumed.
+	record(value, method, arg) {
+		this.position += 1;
+		const entry = {
+			step: this.position,
+			yielded: fingerprint(value),
+			outcome: method,
+			...(method === "throw" ? { error: serializeError(arg) } : { value: arg }),
+		};
+		return new Promise((resolve) => {
+			resolve(this.store.append(this.id, entry));
+		});
+	}
+
+	// The error to reject with if the generator returned before replaying
+	// every entry.
+	leftover() {
+		if (!this.replaying) {
+			return undefined;
+		}
+		return new NonDeterminismError(
+			`Durable task ${this.id} returned after ${this.position} yields, but ${this.entries.length} were recorded`,
+		);
+	}
+}
+
+/**
+ * A journal store keeping journals in memory, which is handy for tests.
+ * Entries are kept as JSON, like they would be in a file.
+ */
+export class MemoryStore {
+	constructor() {
+		this.journals = new Map();
+	}
+
+	load(id) {
+		return (this.journals.get(id) ?? []).map((line) => JSON.parse(line));
+	}
+
+	append(id, entry) {
+		const lines = this.journals.get(id) ?? [];
+		lines.push(JSON.stringify(entry));
+		this.journals.set(id, lines);
+	}
+
+	delete(id) {
+		this.journals.delete(id);
+	}
+}
+
+/**
+ * A journal store keeping each journal in a file of `directory`, with one
+ * JSON entry per line.
+ */
+export class FileStore {
+	constructor(directory) {
+		this.directory = directory;
+	}
+
+	#path(id) {
+		return `${this.directory}/${encodeURIComponent(id)}.jsonl`;
+	}
+
+	async load(id) {
+		const { readFile } = await import("node:fs/promises");
+		let text;
+		try {
+			text = await readFile(this.#path(id), "utf8");
+		} catch (err) {
+			if (err.code === "ENOENT") {
+				return [];
+			}
+			throw err;
+		}
+		return text
+			.split("\n")
+			.filter((line) => line !== "")
+			.map((line) => JSON.parse(line));
+	}
+
+	async append(id, entry) {
+		const { appendFile, mkdir } = await import("node:fs/promises");
+		await mkdir(this.directory, { recursive: true });
+		await appendFile(this.#path(id), `${JSON.stringify(entry)}\n`);
+	}
+
+	async delete(id) {
+		const { rm } = await import("node:fs/promises");
+		await rm(this.#path(id), { force: true });
+	}
+}
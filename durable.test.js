@@ -0,0 +1,233 @@
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join as joinPath } from "node:path";
+import { describe, expect, it, vi } from "vitest";
+import {
+	AbortError,
+	FileStore,
+	MemoryStore,
+	NonDeterminismError,
+	asynk,
+	call,
+	delay,
+} from "./main.js";
+
+const timeout = (x, resolve = true) =>
+	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
+
+const users = [
+	{ name: "David", experience: 10, colleagues: [1, 2] },
+	{ name: "Ted", experience: 3, colleagues: [] },
+	{ name: "Jenn", experience: 7, colleagues: [0] },
+];
+
+function* sumOfExperience(getUserById, id) {
+	const user = yield call(getUserById, id);
+	let total = user.experience;
+	for (const colleague of user.colleagues) {
+		total += (yield call(getUserById, colleague)).experience;
+	}
+	return total;
+}
+
+describe("Durable tasks", () => {
+	it("Should journal how each yield was resumed", async () => {
+		const store = new MemoryStore();
+		const getUserById = (id) => timeout(users[id]);
+		const result = asynk.durable(
+			"sum-0",
+			() => sumOfExperience(getUserById, 0),
+			{ store },
+		);
+		await expect(result).resolves.toBe(20);
+		const entries = store.load("sum-0");
+		expect(entries).toHaveLength(3);
+		expect(entries[0]).toEqual({
+			step: 1,
+			yielded: "call getUserById(0)",
+			outcome: "next",
+			value: users[0],
+		});
+		expect(entries.map((x) => x.yielded)).toEqual([
+			"call getUserById(0)",
+			"call getUserById(1)",
+			"call getUserById(2)",
+		]);
+	});
+
+	it("Should replay the journal without running the effects again", async () => {
+		const store = new MemoryStore();
+		const getUserById = vi.fn((id) => timeout(users[id]));
+		const run = () =>
+			asynk.durable("sum-0", () => sumOfExperience(getUserById, 0), {
+				store,
+			});
+		await expect(run()).resolves.toBe(20);
+		expect(getUserById).toHaveBeenCalledTimes(3);
+		await expect(run()).resolves.toBe(20);
+		expect(getUserById).toHaveBeenCalledTimes(3);
+	});
+
+	it("Should carry on live from where the journal stops", async () => {
+		const store = new MemoryStore();
+		const log = [];
+		const getUserById = vi.fn((id) => timeout(users[id]));
+		const workflow = function* () {
+			const user = yield call(getUserById, 0);
+			log.push(`got ${user.name}`);
+			yield delay(60000);
+			log.push("waited");
+			return user.name;
+		};
+		const crashed = asynk.durable("welcome", workflow, { store });
+		while (store.load("welcome").length === 0) {
+			await timeout();
+		}
+		// What a restart would look like to the generator.
+		crashed.cancel();
+		await expect(crashed).rejects.toBeInstanceOf(AbortError);
+		store.append("welcome", {
+			step: 2,
+			yielded: "delay(60000)",
+			outcome: "next",
+		});
+		const restarted = asynk.durable("welcome", workflow, { store });
+		await expect(restarted).resolves.toBe("David");
+		expect(getUserById).toHaveBeenCalledOnce();
+		expect(log).toEqual(["got David", "got David", "waited"]);
+	});
+
+	it("Should throw recorded errors back at the same yield", async () => {
+		const store = new MemoryStore();
+		const fail = vi.fn(() => Promise.reject(new TypeError("ERROR")));
+		const workflow = function* () {
+			try {
+				yield call(fail);
+			} catch (err) {
+				return `${err.name}: ${err.message}`;
+			}
+		};
+		await expect(asynk.durable("fail", workflow, { store })).resolves.toBe(
+			"TypeError: ERROR",
+		);
+		await expect(asynk.durable("fail", workflow, { store })).resolves.toBe(
+			"TypeError: ERROR",
+		);
+		expect(fail).toHaveBeenCalledOnce();
+	});
+
+	it("Should reject when the generator does not replay its journal", async () => {
+		const store = new MemoryStore();
+		const getUserById = (id) => timeout(users[id]);
+		const finallyRun = vi.fn();
+		await asynk.durable("sum", () => sumOfExperience(getUserById, 0), {
+			store,
+		});
+		const changed = asynk.durable(
+			"sum",
+			function* () {
+				try {
+					yield call(getUserById, 0);
+					yield call(getUserById, 2);
+				} finally {
+					finallyRun();
+				}
+			},
+			{ store },
+		);
+		await expect(changed).rejects.toBeInstanceOf(NonDeterminismError);
+		await expect(changed).rejects.toThrow(
+			"Yield #2 of durable task sum was recorded as call getUserById(1), but replayed as call getUserById(2)",
+		);
+		expect(finallyRun).toHaveBeenCalledOnce();
+		const shorter = asynk.durable(
+			"sum",
+			function* () {
+				return yield call(getUserById, 0);
+			},
+			{ store },
+		);
+		await expect(shorter).rejects.toBeInstanceOf(NonDeterminismError);
+	});
+
+	it("Should reject with the error of a store that fails", async () => {
+		const err = new Error("disk full");
+		const store = {
+			load: () => [],
+			append: () => Promise.reject(err),
+		};
+		const result = asynk.durable(
+			"full",
+			function* () {
+				yield timeout();
+				return "done";
+			},
+			{ store },
+		);
+		await expect(result).rejects.toBe(err);
+	});
+
+	it("Should journal yields that throw without waiting on anything", async () => {
+		const store = new MemoryStore();
+		const lookups = vi.fn();
+		const getUserById = (id) => {
+			lookups(id);
+			return timeout(users[id]);
+		};
+		const run = () =>
+			asynk.durable(
+				"sum-thrown",
+				function* () {
+					let total = (yield call(getUserById, 1)).experience;
+					try {
+						yield 5;
+					} catch (_) {
+						total += 1;
+					}
+					try {
+						yield new Promise(() => {});
+					} catch (_) {
+						total += 1;
+					}
+					return total;
+				},
+				{ store, stepTimeout: 20 },
+			);
+		await expect(run()).resolves.toBe(5);
+		const entries = store.load("sum-thrown");
+		expect(
+			entries.map(({ step, yielded, outcome }) => [step, yielded, outcome]),
+		).toEqual([
+			[1, "call getUserById(1)", "next"],
+			[2, "5", "throw"],
+			[3, "Promise", "throw"],
+		]);
+		expect(entries[1].error.name).toBe("TypeError");
+		expect(entries[2].error.name).toBe("TimeoutError");
+		await expect(run()).resolves.toBe(5);
+		expect(lookups).toHaveBeenCalledOnce();
+	});
+
+	it("Should keep journals in files with a FileStore", async () => {
+		const directory = await mkdtemp(joinPath(tmpdir(), "asynk-"));
+		try {
+			const store = new FileStore(joinPath(directory, "journals"));
+			const getUserById = vi.fn((id) => timeout(users[id]));
+			const run = () =>
+				asynk.durable("user/2", () => sumOfExperience(getUserById, 2), {
+					store,
+				});
+			await expect(run()).resolves.toBe(17);
+			const entries = await new FileStore(joinPath(directory, "journals")).load(
+				"user/2",
+			);
+			expect(entries.map((x) => x.value)).toEqual([users[2], users[0]]);
+			await expect(run()).resolves.toBe(17);
+			expect(getUserById).toHaveBeenCalledTimes(2);
+			await store.delete("user/2");
+			await expect(store.load("user/2")).resolves.toEqual([]);
+		} finally {
+			await rm(directory, { recursive: true, force: true });
+		}
+	});
+});
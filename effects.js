@@ -0,0 +1,144 @@
+const EFFECT = Symbol("asynk.effect");
+const SITE = Symbol("asynk.site");
+
+let recordSites = false;
+
+// Turned on by `asynk.debug`, so that each effect keeps the stack it was
+// created with, which points at the `yield` it was created for.
+export const recordEffectSites = (enabled) => {
+	recordSites = enabled;
+};
+
+export const effectSite = (x) => x[SITE];
+
+// Creates an effect of `type`, which is interpreted by main.js.
+export const effect = (type, payload) => {
+	const descriptor = { [EFFECT]: true, type, ...payload };
+	if (recordSites) {
+		Object.defineProperty(descriptor, SITE, { value: new Error().stack });
+	}
+	return Object.freeze(descriptor);
+};
+
+/**
+ * Whether a yielded value is an effect descriptor created by one of the
+ * functions below, rather than a Promise.
+ */
+export const isEffect = (x) =>
+	x !== null && typeof x === "object" && x[EFFECT] === true;
+
+// Whether what a called function returned is a generator, to be run as part
+// of the task rather than resumed with as is.
+export const isGenerator = (x) =>
+	x !== null &&
+	typeof x === "object" &&
+	typeof x.next === "function" &&
+	typeof x.throw === "function";
+
+/**
+ * Describes calling `fn(...args)`. When interpreted by `asynk`, a returned
+ * Promise is awaited, a returned generator is run as a child asynk task, and
+ * any other value is resumed with as is.
+ */
+export const call = (fn, ...args) => effect("call", { fn, args });
+
+/**
+ * Describes waiting for `ms` milliseconds before resuming with `value`.
+ */
+export const delay = (ms, value) => effect("delay", { ms, value });
+
+/**
+ * Describes starting `generatorFunction(...args)` as a child asynk task
+ * without waiting for it. The generator resumes right away with the child's
+ * promise, which is cancelled along with its parent.
+ */
+export const fork = (generatorFunction, ...args) =>
+	effect("fork", { fn: generatorFunction, args });
+
+/**
+ * Describes waiting for a task started with `fork` to settle.
+ */
+export const join = (task) => effect("join", { task });
+
+/**
+ * Describes calling `operation(attempt)` like `call`, with the attempt number
+ * counting from 1, until it succeeds, at most `attempts` times (3 by default).
+ * Between attempts it waits according to `backoff`: "exponential" (the
+ * default), "linear", "constant", or a function of the attempt number
+ * returning milliseconds. `delay` is the base wait in
+ * milliseconds (100 by default), `factor` the exponential growth (2), and
+ * `maxDelay` caps the wait. `jitter` randomly shortens each wait by up to that
+ * fraction of it, or by up to all of it when `true`.
+ * `retryIf(err, attempt)` decides whether an error is worth retrying; one it
+ * turns down is thrown as is, while running out of attempts throws a
+ * `RetryError` holding every attempt's error.
+ */
+export const retry = (operation, options = {}) =>
+	effect("retry", { operation, options });
+
+/**
+ * Reports `value` to whoever follows the task's progress through the
+ * `onProgress` of its `asynk.task` handle, and resumes right away.
+ */
+export const progress = (value) => effect("progress", { value });
+
+class StepThrough {
+	constructor(generator) {
+		this.generator = generator;
+		this.effects = [];
+		this.done = false;
+		this.result = undefined;
+	}
+
+	#record(result) {
+		if (result.done) {
+			this.done = true;
+			this.result = result.value;
+		} else {
+			this.effects.push(result.value);
+		}
+		return result;
+	}
+
+	next(value) {
+		return this.#record(this.generator.next(value));
+	}
+
+	throw(err) {
+		return this.#record(this.generator.throw(err));
+	}
+
+	return(value) {
+		return this.#record(this.generator.return(value));
+	}
+
+	/**
+	 * Drives the generator to completion, feeding back whatever `respond`
+	 * returns for each yielded effect, or throwing into the generator whatever
+	 * `respond` throws. Returns the generator's return value.
+	 */
+	run(respond) {
+		let result = this.next();
+		while (!result.done) {
+			let value;
+			try {
+				value = respond(result.value);
+			} catch (err) {
+				result = this.throw(err);
+				continue;
+			}
+			result = this.next(value);
+		}
+		return result.value;
+	}
+}
+
+/**
+ * Starts `generatorFunction(...args)` without interpreting anything it
+ * yields, so a test can inspect each yielded effect and decide what to feed
+ * back with `next(value)` or `throw(err)`. No I/O is performed.
+ * Every yielded value is kept in `effects`, and `done`/`result` are set once
+ * the generator returns.
+ */
+export const stepThrough = (generatorFunction, ...args) =>
+	new StepThrough(generatorFunction(...args));
@@ -0,0 +1,358 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+	AbortError,
+	asynk,
+	call,
+	delay,
+	fork,
+	join,
+	retry,
+	RetryError,
+	stepThrough,
+} from "./main.js";
+
+const timeout = (x, resolve = true) =>
+	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
+
+const users = [
+	{ name: "David", experience: 10, colleagues: [1, 2] },
+	{ name: "Ted", experience: 3, colleagues: [] },
+	{ name: "Jenn", experience: 7, colleagues: [0] },
+];
+
+function* sumOfExperience(getUserById, id) {
+	const user = yield call(getUserById, id);
+	const colleagues = yield user.colleagues.map((x) => call(getUserById, x));
+	return colleagues.reduce((acc, x) => acc + x.experience, user.experience);
+}
+
+describe("Effects", () => {
+	it("Should describe effects as plain data", () => {
+		const fn = () => {};
+		expect(call(fn, 1, 2)).toEqual(call(fn, 1, 2));
+		expect(call(fn, 1, 2)).toMatchObject({ type: "call", fn, args: [1, 2] });
+		expect(delay(10, "x")).toMatchObject({ type: "delay", ms: 10, value: "x" });
+		expect(call(fn)).not.toEqual(fork(fn));
+	});
+
+	it("Should resolve a call to a function returning a Promise", async () => {
+		const getUserById = (id) => timeout(users[id]);
+		const result = asynk(() => sumOfExperience(getUserById, 0));
+		await expect(result).resolves.toBe(20);
+	});
+
+	it("Should resume with the value of a call to a plain function", async () => {
+		const add = (a, b) => a + b;
+		const result = asynk(function* () {
+			return yield call(add, 1, 2);
+		});
+		await expect(result).resolves.toBe(3);
+	});
+
+	it("Should run a call to a generator function as a child asynk task", async () => {
+		const getUserById = (id) => timeout(users[id]);
+		const result = asynk(function* () {
+			return yield call(sumOfExperience, getUserById, 2);
+		});
+		await expect(result).resolves.toBe(17);
+	});
+
+	it("Should throw what a call throws at the yield, not in place", async () => {
+		const err = new Error("ERROR");
+		const fail = () => {
+			throw err;
+		};
+		const result = asynk(function* () {
+			try {
+				yield call(fail);
+			} catch (e) {
+				return e;
+			}
+		});
+		await expect(result).resolves.toBe(err);
+	});
+
+	it("Should stop an asynk task started by a call along with the yield", async () => {
+		const log = [];
+		const getUserById = asynk.fn(function* (id) {
+			try {
+				yield new Promise(() => {});
+			} finally {
+				log.push(`lookup ${id} stopped`);
+			}
+		});
+		const cancelled = asynk(function* () {
+			yield call(getUserById, 0);
+		});
+		await timeout();
+		cancelled.cancel();
+		await expect(cancelled).rejects.toBeInstanceOf(AbortError);
+		const timedOut = asynk(
+			function* () {
+				yield call(getUserById, 1);
+			},
+			{ stepTimeout: 10 },
+		);
+		await expect(timedOut).rejects.toThrow("10ms");
+		expect(log).toEqual(["lookup 0 stopped", "lookup 1 stopped"]);
+	});
+
+	it("Should resume with the given value after a delay", async () => {
+		const start = Date.now();
+		const result = asynk(function* () {
+			return yield delay(20, "done");
+		});
+		await expect(result).resolves.toBe("done");
+		expect(Date.now() - start).toBeGreaterThanOrEqual(15);
+	});
+
+	it("Should not wait for a forked task until it is joined", async () => {
+		const log = [];
+		const child = function* (x) {
+			yield timeout();
+			log.push("child");
+			return x;
+		};
+		const result = asynk(function* () {
+			const task = yield fork(child, 42);
+			log.push("parent");
+			const value = yield join(task);
+			log.push("joined");
+			return value;
+		});
+		await expect(result).resolves.toBe(42);
+		expect(log).toEqual(["parent", "child", "joined"]);
+	});
+
+	it("Should reject a join when the forked task fails", async () => {
+		const err = new Error("ERROR");
+		const result = asynk(function* () {
+			const task = yield fork(function* () {
+				yield timeout();
+				throw err;
+			});
+			yield join(task);
+		});
+		await expect(result).rejects.toBe(err);
+	});
+
+	it("Should cancel forked tasks and pending delays with their parent", async () => {
+		let childCleanedUp = false;
+		const child = function* () {
+			try {
+				yield new Promise(() => {});
+			} finally {
+				childCleanedUp = true;
+			}
+		};
+		const clearTimeoutSpy = vi.spyOn(globalThis, "clearTimeout");
+		const result = asynk(function* () {
+			yield fork(child);
+			yield delay(60000);
+		});
+		await timeout();
+		result.cancel();
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		expect(childCleanedUp).toBe(true);
+		expect(clearTimeoutSpy).toHaveBeenCalled();
+		clearTimeoutSpy.mockRestore();
+	});
+});
+
+describe("stepThrough", () => {
+	it("Should show each yielded effect without running it", () => {
+		const getUserById = vi.fn();
+		const saga = stepThrough(sumOfExperience, getUserById, 0);
+		expect(saga.next().value).toEqual(call(getUserById, 0));
+		expect(saga.next(users[0]).value).toEqual([
+			call(getUserById, 1),
+			call(getUserById, 2),
+		]);
+		expect(saga.next([users[1], users[2]])).toEqual({ value: 20, done: true });
+		expect(saga.done).toBe(true);
+		expect(saga.result).toBe(20);
+		expect(saga.effects).toHaveLength(2);
+		expect(getUserById).not.toHaveBeenCalled();
+	});
+
+	it("Should let the test throw errors into the generator", () => {
+		const getUserById = vi.fn();
+		const err = new Error("ERROR");
+		const saga = stepThrough(function* () {
+			try {
+				yield call(getUserById, 0);
+			} catch (e) {
+				return e.message;
+			}
+		});
+		saga.next();
+		expect(saga.throw(err)).toEqual({ value: "ERROR", done: true });
+		expect(getUserById).not.toHaveBeenCalled();
+	});
+
+	it("Should run to completion with a responder", () => {
+		const getUserById = vi.fn();
+		const saga = stepThrough(sumOfExperience, getUserById, 2);
+		const result = saga.run((effect) =>
+			Array.isArray(effect)
+				? effect.map(({ args }) => users[args[0]])
+				: users[effect.args[0]],
+		);
+		expect(result).toBe(17);
+		expect(getUserById).not.toHaveBeenCalled();
+	});
+
+	it("Should throw what the responder throws into the generator", () => {
+		const saga = stepThrough(function* () {
+			try {
+				yield delay(1000);
+			} catch (e) {
+				return `caught ${e}`;
+			}
+		});
+		const result = saga.run(() => {
+			throw "timeout";
+		});
+		expect(result).toBe("caught timeout");
+	});
+});
+
+describe("retry", () => {
+	const flaky = (failures, value) => {
+		let calls = 0;
+		return vi.fn(() => {
+			calls += 1;
+			return calls <= failures
+				? timeout(`failure ${calls}`, false)
+				: timeout(value);
+		});
+	};
+
+	it("Should retry an operation until it succeeds", async () => {
+		const operation = flaky(2, "user");
+		const result = asynk(function* () {
+			return yield retry(operation, { attempts: 3, delay: 1 });
+		});
+		await expect(result).resolves.toBe("user");
+		expect(operation).toHaveBeenCalledTimes(3);
+		expect(operation.mock.calls).toEqual([[1], [2], [3]]);
+	});
+
+	it("Should reject with every attempt's error once it gives up", async () => {
+		const operation = flaky(5, "user");
+		const result = asynk(function* () {
+			try {
+				yield retry(operation, { attempts: 3, delay: 1 });
+			} catch (err) {
+				return err;
+			}
+		});
+		const err = await result;
+		expect(err).toBeInstanceOf(RetryError);
+		expect(err).toBeInstanceOf(AggregateError);
+		expect(err.errors).toEqual(["failure 1", "failure 2", "failure 3"]);
+		expect(operation).toHaveBeenCalledTimes(3);
+	});
+
+	it("Should not retry errors turned down by retryIf", async () => {
+		const operation = flaky(5, "user");
+		const retryIf = vi.fn((err, attempt) => attempt < 2);
+		const result = asynk(function* () {
+			yield retry(operation, { attempts: 5, delay: 1, retryIf });
+		});
+		await expect(result).rejects.toBe("failure 2");
+		expect(operation).toHaveBeenCalledTimes(2);
+		expect(retryIf).toHaveBeenLastCalledWith("failure 2", 2);
+	});
+
+	it("Should back off between attempts", async () => {
+		const waits = [];
+		const setTimeoutSpy = vi
+			.spyOn(globalThis, "setTimeout")
+			.mockImplementation((f, ms, ...args) => {
+				waits.push(ms);
+				return setImmediate(f, ...args);
+			});
+		const exponential = asynk(function* () {
+			yield retry(() => Promise.reject("failure"), {
+				attempts: 4,
+				delay: 10,
+			});
+		});
+		await expect(exponential).rejects.toBeInstanceOf(RetryError);
+		const linear = asynk(function* () {
+			yield retry(() => Promise.reject("failure"), {
+				attempts: 4,
+				delay: 10,
+				backoff: "linear",
+				maxDelay: 25,
+			});
+		});
+		await expect(linear).rejects.toBeInstanceOf(RetryError);
+		setTimeoutSpy.mockRestore();
+		expect(waits).toEqual([10, 20, 40, 10, 20, 25]);
+	});
+
+	it("Should shorten waits by up to the jitter fraction", async () => {
+		const waits = [];
+		const setTimeoutSpy = vi
+			.spyOn(globalThis, "setTimeout")
+			.mockImplementation((f, ms, ...args) => {
+				waits.push(ms);
+				return setImmediate(f, ...args);
+			});
+		const result = asynk(function* () {
+			yield retry(() => Promise.reject("failure"), {
+				attempts: 20,
+				delay: 100,
+				backoff: "constant",
+				jitter: 0.5,
+			});
+		});
+		await expect(result).rejects.toBeInstanceOf(RetryError);
+		setTimeoutSpy.mockRestore();
+		expect(waits).toHaveLength(19);
+		for (const ms of waits) {
+			expect(ms).toBeGreaterThanOrEqual(50);
+			expect(ms).toBeLessThanOrEqual(100);
+		}
+	});
+
+	it("Should stop retrying when the task is cancelled", async () => {
+		const operation = vi.fn(() => Promise.reject("failure"));
+		const result = asynk(function* () {
+			yield retry(operation, { attempts: 10, delay: 20 });
+		});
+		await timeout();
+		result.cancel();
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		await new Promise((res) => setTimeout(res, 50));
+		expect(operation).toHaveBeenCalledTimes(1);
+	});
+
+	it("Should stop an attempt that is an asynk task when the task is cancelled", async () => {
+		const log = [];
+		const getUserById = asynk.fn(function* (id) {
+			try {
+				yield new Promise(() => {});
+			} finally {
+				log.push(`attempt ${id} stopped`);
+			}
+		});
+		const result = asynk(function* () {
+			yield retry((attempt) => getUserById(attempt), { delay: 1 });
+		});
+		await timeout();
+		result.cancel();
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		expect(log).toEqual(["attempt 1 stopped"]);
+	});
+
+	it("Should be visible to stepThrough as an effect", () => {
+		const operation = () => {};
+		const saga = stepThrough(function* () {
+			return yield retry(operation, { attempts: 2 });
+		});
+		expect(saga.next().value).toEqual(retry(operation, { attempts: 2 }));
+	});
+});
@@ -0,0 +1,67 @@
+import { effect } from "./effects.js";
+
+/**
+ * Describes calling a Node-style function as `fn(...args, callback)`, and
+ * waiting for it to call `callback(err, value)`. The generator resumes with
+ * `value`, or has `err` thrown at its `yield` if it is truthy.
+ */
+export const cps = (fn, ...args) => effect("cps", { fn, args });
+
+/**
+ * Describes calling a thunk, a function taking nothing but a Node-style
+ * callback, as `fn(callback)`, and waiting for it like `cps`.
+ */
+export const thunk = (fn) => effect("cps", { fn, args: [] });
+
+/**
+ * Describes waiting for a Promises/A+ thenable that is not a native Promise,
+ * such as one from another Promise library, which `asynk` does not accept as
+ * is.
+ */
+export const thenable = (value) => effect("thenable", { value });
+
+/**
+ * Describes waiting for `emitter` to emit `name` once, and resuming with the
+ * array of its arguments. `emitter` can be a Node.js EventEmitter, which
+ * throws at the `yield` if it emits "error" first, or a DOM EventTarget. The
+ * listener is removed if the task stops waiting.
+ */
+export const once = (emitter, name) =>
+	effect("once", { emitter, args: [name] });
+
+// Whether `x` looks like it could be awaited, despite not being a Promise.
+export const isThenable = (x) =>
+	x !== null &&
+	(typeof x === "object" || typeof x === "function") &&
+	typeof x.then === "function";
+
+// Starts listening for the event of a `once` effect, and returns a function
+// to stop listening.
+export const listenOnce = ({ emitter, args: [name] }, { resolve, reject }) => {
+	if (typeof emitter.on !== "function") {
+		const listener = (event) => resolve([event]);
+		emitter.addEventListener(name, listener, { once: true });
+		return () => emitter.removeEventListener(name, listener);
+	}
+	const off = (event, listener) =>
+		(emitter.off ?? emitter.removeListener).call(emitter, event, listener);
+	const stop = () => {
+		off(name, listener);
+		if (name !== "error") {
+			off("error", onError);
+		}
+	};
+	const listener = (...values) => {
+		stop();
+		resolve(values);
+	};
+	const onError = (err) => {
+		stop();
+		reject(err);
+	};
+	emitter.on(name, listener);
+	if (name !== "error") {
+		emitter.on("error", onError);
+	}
+	return stop;
+};
@@ -0,0 +1,280 @@
+import { EventEmitter } from "node:events";
+import { describe, expect, it, vi } from "vitest";
+import { AbortError, asynk, cps, once, thenable, thunk } from "./main.js";
+
+const timeout = (x, resolve = true) =>
+	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
+
+const users = [
+	{ name: "David", experience: 10 },
+	{ name: "Ted", experience: 3 },
+];
+
+// A Node-style version of getUserById.
+const getUser = (id, callback) =>
+	setTimeout(() =>
+		users[id]
+			? callback(null, users[id])
+			: callback(new Error(`No user ${id}`)),
+	);
+
+// A minimal Promises/A+ implementation, standing in for another library's.
+const foreignPromise = (settle) => {
+	let state = "pending";
+	let result;
+	const callbacks = [];
+	const finish = (s, x) => {
+		if (state !== "pending") {
+			return;
+		}
+		state = s;
+		result = x;
+		for (const callback of callbacks.splice(0)) {
+			setTimeout(callback);
+		}
+	};
+	settle(
+		(x) => finish("fulfilled", x),
+		(x) => finish("rejected", x),
+	);
+	return {
+		then(onFulfilled, onRejected) {
+			return foreignPromise((resolve, reject) => {
+				const callback = () => {
+					const handler = state === "fulfilled" ? onFulfilled : onRejected;
+					if (typeof handler !== "function") {
+						(state === "fulfilled" ? resolve : reject)(result);
+						return;
+					}
+					try {
+						resolve(handler(result));
+					} catch (err) {
+						reject(err);
+					}
+				};
+				if (state === "pending") {
+					callbacks.push(callback);
+				} else {
+					setTimeout(callback);
+				}
+			});
+		},
+	};
+};
+
+describe("Callbacks and thunks", () => {
+	it("Should resume with what a Node-style function calls back with", async () => {
+		const result = asynk(function* () {
+			const david = yield cps(getUser, 0);
+			const ted = yield thunk((callback) => getUser(1, callback));
+			return david.experience + ted.experience;
+		});
+		await expect(result).resolves.toBe(13);
+	});
+
+	it("Should throw the error it calls back with at the yield", async () => {
+		const result = asynk(function* () {
+			try {
+				yield cps(getUser, 5);
+			} catch (err) {
+				return err.message;
+			}
+		});
+		await expect(result).resolves.toBe("No user 5");
+	});
+
+	it("Should throw what the function throws at the yield, not in place", async () => {
+		const err = new Error("ERROR");
+		const run = () =>
+			asynk(function* () {
+				yield cps(() => {
+					throw err;
+				});
+			});
+		let result;
+		expect(() => {
+			result = run();
+		}).not.toThrow();
+		await expect(result).rejects.toBe(err);
+	});
+
+	it("Should only listen to the first call of the callback", async () => {
+		const result = asynk(function* () {
+			return yield cps((callback) => {
+				callback(null, 1);
+				callback(null, 2);
+				callback(new Error("ERROR"));
+			});
+		});
+		await expect(result).resolves.toBe(1);
+	});
+
+	it("Should run the function inside the task", async () => {
+		const result = asynk.context.run({ traceId: "3f2a" }, function* () {
+			return yield cps((callback) =>
+				callback(null, asynk.context.get("traceId")),
+			);
+		});
+		await expect(result).resolves.toBe("3f2a");
+	});
+
+	it("Should point debug stacks at the yield of a callback", async () => {
+		asynk.debug();
+		try {
+			const result = asynk(function* lookingUp() {
+				yield cps(getUser, 5);
+			});
+			const err = await result.catch((x) => x);
+			expect(err.stack).toMatch(
+				/\n {4}at async lookingUp \(.*interop\.test\.js:\d+:\d+\)$/,
+			);
+		} finally {
+			asynk.debug(false);
+		}
+	});
+});
+
+describe("Thenables", () => {
+	it("Should follow a thenable that is not a Promise", async () => {
+		const result = asynk(function* () {
+			const a = yield thenable(foreignPromise((resolve) => resolve(1)));
+			const b = yield thenable(
+				foreignPromise((resolve) => resolve(timeout(2))),
+			);
+			return a + b;
+		});
+		await expect(result).resolves.toBe(3);
+	});
+
+	it("Should throw what a thenable rejects with at the yield", async () => {
+		const err = new Error("ERROR");
+		const result = asynk(function* () {
+			try {
+				yield thenable(foreignPromise((_, reject) => reject(err)));
+			} catch (caught) {
+				return caught;
+			}
+		});
+		await expect(result).resolves.toBe(err);
+	});
+
+	it("Should still throw in place for a thenable that is not wrapped", () => {
+		const run = () =>
+			asynk(function* () {
+				yield foreignPromise((resolve) => resolve(1));
+			});
+		expect(run).toThrow(
+			"asynk can only yield Promises, but got a thenable: wrap it with thenable()",
+		);
+		expect(() =>
+			asynk(function* () {
+				yield "value";
+			}),
+		).toThrow("asynk can only yield Promises, but got value");
+	});
+});
+
+describe("Events", () => {
+	it("Should resume with the arguments of an event", async () => {
+		const emitter = new EventEmitter();
+		const result = asynk(function* () {
+			return yield once(emitter, "data");
+		});
+		emitter.emit("other", 0);
+		await timeout();
+		emitter.emit("data", 1, 2);
+		emitter.emit("data", 3);
+		await expect(result).resolves.toEqual([1, 2]);
+		expect(emitter.listenerCount("data")).toBe(0);
+		expect(emitter.listenerCount("error")).toBe(0);
+	});
+
+	it("Should throw an error event at the yield", async () => {
+		const emitter = new EventEmitter();
+		const err = new Error("ERROR");
+		const result = asynk(function* () {
+			yield once(emitter, "data");
+		});
+		emitter.emit("error", err);
+		await expect(result).rejects.toBe(err);
+		expect(emitter.listenerCount("data")).toBe(0);
+	});
+
+	it("Should wait for an event of an EventTarget", async () => {
+		const target = new EventTarget();
+		const result = asynk(function* () {
+			const [event] = yield once(target, "ping");
+			return event.type;
+		});
+		target.dispatchEvent(new Event("ping"));
+		await expect(result).resolves.toBe("ping");
+	});
+
+	it("Should stop listening when the task is cancelled", async () => {
+		const emitter = new EventEmitter();
+		const target = new EventTarget();
+		const listener = vi.spyOn(target, "removeEventListener");
+		const result = asynk(function* () {
+			yield [once(emitter, "data"), once(target, "ping")];
+		});
+		expect(emitter.listenerCount("data")).toBe(1);
+		result.cancel();
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		expect(emitter.listenerCount("data")).toBe(0);
+		expect(emitter.listenerCount("error")).toBe(0);
+		expect(listener).toHaveBeenCalledWith("ping", expect.any(Function));
+	});
+});
+
+describe("Callbackify", () => {
+	const getExperience = asynk.callbackify(function* getExperience(id) {
+		const user = yield timeout(users[id]);
+		if (!user) {
+			throw new Error(`No user ${id}`);
+		}
+		return user.experience;
+	});
+
+	it("Should call back with what the generator returns or throws", async () => {
+		const callback = vi.fn();
+		getExperience(0, callback);
+		getExperience(5, callback);
+		await vi.waitFor(() => expect(callback).toHaveBeenCalledTimes(2));
+		expect(callback).toHaveBeenCalledWith(null, 10);
+		expect(callback).toHaveBeenCalledWith(
+			expect.objectContaining({ message: "No user 5" }),
+		);
+		expect(getExperience.name).toBe("getExperience");
+		expect(getExperience.length).toBe(2);
+	});
+
+	it("Should call back with an Error for a falsy rejection reason", async () => {
+		const callback = vi.fn();
+		asynk.callbackify(function* () {
+			yield timeout(0, false);
+		})(callback);
+		await vi.waitFor(() => expect(callback).toHaveBeenCalled());
+		const [err] = callback.mock.calls[0];
+		expect(err).toBeInstanceOf(Error);
+		expect(err.reason).toBe(0);
+	});
+
+	it("Should forward this", async () => {
+		const user = {
+			name: "Jenn",
+			greet: asynk.callbackify(function* (greeting) {
+				yield timeout();
+				return `${greeting} ${this.name}`;
+			}),
+		};
+		const callback = vi.fn();
+		user.greet("Hi", callback);
+		await vi.waitFor(() =>
+			expect(callback).toHaveBeenCalledWith(null, "Hi Jenn"),
+		);
+	});
+
+	it("Should throw in place without a callback", () => {
+		expect(() => getExperience(0)).toThrow(TypeError);
+	});
+});
@@ -0,0 +1,151 @@
+import { isGenerator } from "./effects.js";
+import { CLOSED, Channel } from "./sync.js";
+
+/**
+ * What the body of `asynk.forEach` returns to stop the loop, like `break`.
+ */
+export const BREAK = Symbol("asynk.break");
+
+// Walks `iterable` the way `for await` would, calling `body(item, index)`
+// for each item: a returned generator is run as part of the loop, and a
+// returned Promise is awaited. The source iterator is closed when the loop
+// stops early, whether the body breaks or throws, or the task is cancelled.
+export function* forEach(iterable, body) {
+	const async = typeof iterable[Symbol.asyncIterator] === "function";
+	const iterator = async
+		? iterable[Symbol.asyncIterator]()
+		: iterable[Symbol.iterator]();
+	const close = () => Promise.resolve(iterator.return?.());
+	// Whether the iterator has an item out, and has to be closed if the loop
+	// stops before asking for the next one.
+	let open = false;
+	try {
+		for (let index = 0; ; index += 1) {
+			open = false;
+			const step = yield Promise.resolve(iterator.next());
+			if (step.done) {
+				return;
+			}
+			open = true;
+			let item = step.value;
+			// Like `for await`, which awaits the items of sync iterables.
+			if (!async && item instanceof Promise) {
+				item = yield item;
+			}
+			let result = body(item, index);
+			if (isGenerator(result)) {
+				result = yield* result;
+			} else if (result instanceof Promise) {
+				result = yield result;
+			}
+			if (result === BREAK) {
+				return;
+			}
+		}
+	} catch (err) {
+		if (open) {
+			open = false;
+			try {
+				yield close();
+			} catch (_) {
+				// The error that stopped the loop wins over that of closing it.
+			}
+		}
+		throw err;
+	} finally {
+		if (open) {
+			yield close();
+		}
+	}
+}
+
+const done = (value) => ({ value, done: true });
+
+/**
+ * An async iterable of the values that `generatorFunction(emit)` emits with
+ * `yield emit(value)`, which it runs as an asynk task started by the first
+ * call to `next()`. Each `yield emit(value)` waits until a consumer asks for
+ * the value, unless fewer than `buffer` values (0 by default) are already
+ * waiting for one, so the generator never gets further ahead of its
+ * consumers than that. When the generator throws, consumers get the values
+ * emitted before, then the error. A consumer that stops early, such as by
+ * breaking out of `for await`, cancels the generator.
+ */
+export class Stream {
+	#channel;
+	#generatorFunction;
+	#options;
+	#run;
+	#producer = undefined;
+	#error = undefined;
+	#failed = false;
+	#done = false;
+
+	// `run(f, options)` runs `f` as an asynk task.
+	constructor(generatorFunction, { buffer = 0, ...options } = {}, run) {
+		this.#channel = new Channel(buffer);
+		this.#generatorFunction = generatorFunction;
+		this.#options = options;
+		this.#run = run;
+	}
+
+	#start() {
+		if (this.#producer) {
+			return;
+		}
+		const channel = this.#channel;
+		const generatorFunction = this.#generatorFunction;
+		this.#producer = this.#run(
+			() => generatorFunction((value) => channel.put(value)),
+			{ name: generatorFunction.name, ...this.#options },
+		);
+		this.#producer.then(
+			() => channel.close(),
+			(err) => {
+				// Unless it was cancelled by a consumer stopping early.
+				if (!this.#done) {
+					this.#error = err;
+					this.#failed = true;
+				}
+				channel.close();
+			},
+		);
+	}
+
+	next() {
+		if (this.#done) {
+			return Promise.resolve(done());
+		}
+		this.#start();
+		const stream = this;
+		return this.#run(function* next() {
+			const value = yield stream.#channel.take();
+			if (value !== CLOSED) {
+				return { value, done: false };
+			}
+			stream.#done = true;
+			if (stream.#failed) {
+				stream.#failed = false;
+				throw stream.#error;
+			}
+			return done();
+		});
+	}
+
+	return(value) {
+		this.#done = true;
+		if (!this.#producer) {
+			return Promise.resolve(done(value));
+		}
+		this.#producer.cancel();
+		// Once the generator's finally blocks have run.
+		return this.#producer.then(
+			() => done(value),
+			() => done(value),
+		);
+	}
+
+	[Symbol.asyncIterator]() {
+		return this;
+	}
+}
@@ -0,0 +1,222 @@
+import { describe, expect, it, vi } from "vitest";
+import { AbortError, BREAK, asynk, delay } from "./main.js";
+
+const timeout = (x, resolve = true) =>
+	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
+
+// A paginated API, as an async generator of pages, that logs how far it got.
+const pages = (log, count = 3) =>
+	(async function* () {
+		try {
+			for (let page = 1; page <= count; page += 1) {
+				log.push(`fetch ${page}`);
+				yield await timeout([page * 10, page * 10 + 1]);
+			}
+		} finally {
+			log.push("closed");
+		}
+	})();
+
+describe("Async iteration", () => {
+	it("Should walk an async iterable, one item after the other", async () => {
+		const log = [];
+		const result = asynk(function* () {
+			let total = 0;
+			yield asynk.forEach(pages(log), function* (users, index) {
+				log.push(`page ${index}`);
+				for (const id of users) {
+					total += yield timeout(id);
+				}
+			});
+			return total;
+		});
+		await expect(result).resolves.toBe(123);
+		expect(log).toEqual([
+			"fetch 1",
+			"page 0",
+			"fetch 2",
+			"page 1",
+			"fetch 3",
+			"page 2",
+			"closed",
+		]);
+	});
+
+	it("Should await the items of a sync iterable, and bodies returning Promises", async () => {
+		const seen = [];
+		await asynk.forEach([1, timeout(2), 3], (x) => timeout(seen.push(x)));
+		expect(seen).toEqual([1, 2, 3]);
+	});
+
+	it("Should close the source when the body breaks", async () => {
+		const log = [];
+		const result = asynk(function* () {
+			const seen = [];
+			yield asynk.forEach(pages(log), function* (users) {
+				seen.push(...users);
+				if (users[0] === 20) {
+					return BREAK;
+				}
+			});
+			return seen;
+		});
+		await expect(result).resolves.toEqual([10, 11, 20, 21]);
+		expect(log).toEqual(["fetch 1", "fetch 2", "closed"]);
+	});
+
+	it("Should close the source and rethrow when the body throws", async () => {
+		const log = [];
+		const err = new Error("ERROR");
+		const source = {
+			[Symbol.asyncIterator]: () => ({
+				next: () => Promise.resolve({ value: 1, done: false }),
+				return: () => {
+					log.push("closed");
+					return Promise.reject(new Error("CLOSING"));
+				},
+			}),
+		};
+		const result = asynk.forEach(source, function* () {
+			yield timeout();
+			throw err;
+		});
+		await expect(result).rejects.toBe(err);
+		expect(log).toEqual(["closed"]);
+	});
+
+	it("Should not close a source whose next() rejects", async () => {
+		const err = new Error("ERROR");
+		const close = vi.fn();
+		const source = {
+			[Symbol.asyncIterator]: () => ({
+				next: () => Promise.reject(err),
+				return: close,
+			}),
+		};
+		await expect(asynk.forEach(source, () => {})).rejects.toBe(err);
+		expect(close).not.toHaveBeenCalled();
+	});
+
+	it("Should close the source when the task is cancelled", async () => {
+		const log = [];
+		const result = asynk(function* () {
+			yield asynk.forEach(pages(log), function* () {
+				yield delay(60000);
+			});
+		});
+		await timeout();
+		result.cancel();
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		expect(log).toEqual(["fetch 1", "closed"]);
+	});
+});
+
+describe("Streams", () => {
+	const numbers = (log, count = 5) =>
+		asynk.stream(function* numbers(emit) {
+			try {
+				for (let i = 1; i <= count; i += 1) {
+					const n = yield timeout(i);
+					log.push(`emit ${n}`);
+					yield emit(n);
+				}
+			} finally {
+				log.push("done");
+			}
+		});
+
+	it("Should emit values to a for await loop", async () => {
+		const log = [];
+		const seen = [];
+		for await (const n of numbers(log, 3)) {
+			seen.push(n);
+		}
+		expect(seen).toEqual([1, 2, 3]);
+		expect(log).toEqual(["emit 1", "emit 2", "emit 3", "done"]);
+	});
+
+	it("Should not start before being read from", async () => {
+		const log = [];
+		numbers(log);
+		await timeout();
+		expect(log).toEqual([]);
+	});
+
+	it("Should wait for consumers before emitting more", async () => {
+		const log = [];
+		const stream = numbers(log);
+		const iterator = stream[Symbol.asyncIterator]();
+		await expect(iterator.next()).resolves.toEqual({ value: 1, done: false });
+		for (let i = 0; i < 5; i += 1) {
+			await timeout();
+		}
+		// The second value waits to be asked for.
+		expect(log).toEqual(["emit 1", "emit 2"]);
+		await expect(iterator.next()).resolves.toEqual({ value: 2, done: false });
+	});
+
+	it("Should run ahead by up to `buffer` values", async () => {
+		const log = [];
+		const stream = asynk.stream(
+			function* (emit) {
+				for (let i = 1; i <= 5; i += 1) {
+					yield emit(i);
+					log.push(`emitted ${i}`);
+				}
+			},
+			{ buffer: 2 },
+		);
+		const iterator = stream[Symbol.asyncIterator]();
+		await iterator.next();
+		await timeout();
+		expect(log).toEqual(["emitted 1", "emitted 2", "emitted 3"]);
+	});
+
+	it("Should throw a generator error after the values emitted before it", async () => {
+		const err = new Error("ERROR");
+		const stream = asynk.stream(
+			function* (emit) {
+				yield emit(1);
+				yield emit(2);
+				throw err;
+			},
+			{ buffer: 5 },
+		);
+		const seen = [];
+		await expect(
+			(async () => {
+				for await (const n of stream) {
+					seen.push(n);
+				}
+			})(),
+		).rejects.toBe(err);
+		expect(seen).toEqual([1, 2]);
+	});
+
+	it("Should cancel the generator when the consumer stops early", async () => {
+		const log = [];
+		const seen = [];
+		for await (const n of numbers(log)) {
+			seen.push(n);
+			if (n === 2) {
+				break;
+			}
+		}
+		expect(seen).toEqual([1, 2]);
+		expect(log).toEqual(["emit 1", "emit 2", "done"]);
+	});
+
+	it("Should be walked by asynk.forEach", async () => {
+		const log = [];
+		const result = asynk(function* () {
+			let total = 0;
+			yield asynk.forEach(numbers(log), function* (n) {
+				total += n;
+				return n === 3 ? BREAK : undefined;
+			});
+			return total;
+		});
+		await expect(result).resolves.toBe(6);
+		expect(log).toEqual(["emit 1", "emit 2", "emit 3", "done"]);
+	});
+});
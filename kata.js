@@ -0,0 +1,243 @@
+/**
+ * The requirements of the kata, as listed in the README, with the tests of
+ * `main.test.js` checking each of them (as "describe > it" names) and a hint
+ * for learners whose solution does not meet them yet.
+ */
+export const requirements = [
+	{
+		text: "Take a generator function as its argument",
+		hint: "Call the generator function to get a generator, then keep calling its `next()` until it returns `{ done: true }`.",
+		tests: [
+			"Works with Promises > Should return a Promise of undefined if only `return` is used",
+			"Special case yields > Should handle yield*",
+		],
+	},
+	{
+		text: "Return a promise",
+		hint: "Return a `new Promise((resolve, reject) => ...)` straight away, and resolve it with the `value` the generator is `done` with.",
+		tests: [
+			"Works with Promises > Should return a Promise of undefined even if only `yield` is used",
+			"Works with Promises > Should return a Promise of undefined even if a Promise of 1 is yielded",
+			"Works with Promises > Should return a Promise of x if a resolved Promise of x is returned",
+			"Yielding values > Should handle the case of a Promise being returned",
+		],
+	},
+	{
+		text: "Automatically wrap returned non-Promises in a resolved Promise",
+		hint: "`resolve(value)` turns whatever the generator returns into a resolved Promise, and follows it if it is a Promise already.",
+		tests: [
+			"Works with Promises > Should return a Promise if a non-Promise is returned",
+		],
+	},
+	{
+		text: "Correctly yield a promise",
+		hint: "Wait for each yielded Promise with `.then`, and pass what it resolves to back into the generator with `next(value)`, so it becomes the result of the `yield`.",
+		tests: [
+			"Yielding values > Should resolve a yielded value and make it available in the generator body",
+			"Yielding values > Should work with multiple yields",
+			"Yielding values > Should work when using timeouts",
+			"Special case yields > Should handle yielding other asynk results",
+			"Real use case simulation > Should resolve finding a user by id that exists",
+			"Direct comparisons to async functions > should have the same results",
+		],
+	},
+	{
+		text: "Catch errors and turn them into rejections",
+		hint: "Wrap every call to the generator's `next()` and `throw()` in a try/catch, and reject with what was caught.",
+		tests: [
+			"Errors and Rejections > Should handle thrown errors as rejections",
+			"Real use case simulation > Should resolve when there is a valid id, and reject when not",
+			"Direct comparisons to async functions > Should both handle thrown errors as rejections",
+		],
+	},
+	{
+		text: "Make sure errors in the body of the generator aren't throw in place",
+		hint: "The body starts running during the first `next()`, while `asynk` is still running: what it throws must reject the promise rather than escape from `asynk`.",
+		tests: [
+			"Errors and Rejections > Should not throw in place otherwise",
+			"Errors and Rejections > Should not throw an error when there is a resolved Promise",
+		],
+	},
+	{
+		text: "Should return a rejection right away, without continuing",
+		hint: "When a yielded Promise rejects, throw the reason into the generator with `throw(reason)`. If the generator does not catch it, reject with it and stop there.",
+		tests: [
+			"Errors and Rejections > Should reject right away when yielding a rejected Promise",
+			"Errors and Rejections > Should reject a rethrown rejection",
+		],
+	},
+	{
+		text: "Support try/catch in the generator function",
+		hint: "Use the generator's `throw(reason)` for rejections, so that a try/catch around the `yield` catches the reason itself.",
+		tests: [
+			"Errors and Rejections > Should catch rejected promises as errors with try/catch",
+			"Errors and Rejections > Should catch the _value_ of rejected promises as errors with try/catch",
+		],
+	},
+	{
+		text: "Throw an error if trying to yield a non-promise (unlike async/await, where one can await anything)",
+		hint: "Check every yielded value, and throw when it is not a Promise. For the first `yield`, which runs while `asynk` is still running, that throw should escape from `asynk` itself.",
+		tests: [
+			"Errors and Rejections > Should only throw in place if a non-Promise is yielded",
+		],
+	},
+];
+
+// The describe blocks of `main.test.js` that make up the kata, as opposed to
+// the features built on top of it.
+export const kataSuites = [
+	...new Set(
+		requirements.flatMap(({ tests }) => tests.map((x) => x.split(" > ")[0])),
+	),
+];
+
+/**
+ * Groups test `results`, a Map from "describe > it" names to `{ state,
+ * error }` (`state` being "pass", "fail" or "skip"), under the requirements
+ * they check. A requirement is met once all of its tests pass.
+ */
+export const grade = (results, solution) => {
+	const graded = requirements.map(({ text, hint, tests }) => {
+		const outcomes = tests.map((name) => ({
+			name,
+			...(results.get(name) ?? { state: "skip" }),
+		}));
+		return {
+			requirement: text,
+			met: outcomes.every((x) => x.state === "pass"),
+			hint,
+			tests: outcomes,
+		};
+	});
+	const tests = graded.flatMap((x) => x.tests);
+	return {
+		solution,
+		score: {
+			requirements: graded.filter((x) => x.met).length,
+			totalRequirements: graded.length,
+			tests: tests.filter((x) => x.state === "pass").length,
+			totalTests: tests.length,
+		},
+		requirements: graded,
+	};
+};
+
+/**
+ * Turns a report from `grade` into what the command prints.
+ */
+export const formatReport = (report) => {
+	const lines = [`Checking ${report.solution}`, ""];
+	for (const { requirement, met, hint, tests } of report.requirements) {
+		const passed = tests.filter((x) => x.state === "pass").length;
+		lines.push(`${met ? "✓" : "✗"} ${requirement} (${passed}/${tests.length})`);
+		if (met) {
+			continue;
+		}
+		for (const { name, state, error } of tests) {
+			if (state !== "pass") {
+				lines.push(`    ✗ ${name}`);
+				if (error) {
+					lines.push(`      ${error.split("\n")[0]}`);
+				}
+			}
+		}
+		lines.push(`    Hint: ${hint}`);
+	}
+	const { score } = report;
+	lines.push(
+		"",
+		`${score.requirements}/${score.totalRequirements} requirements met, ${score.tests}/${score.totalTests} tests passed`,
+	);
+	return lines.join("\n");
+};
+
+const escape = (x) => x.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// The results of every test of `files`, by "describe > it" name, and the
+// errors of files that failed to load.
+const collectResults = (files) => {
+	const results = new Map();
+	const visit = (task, path) => {
+		const name = [...path, task.name];
+		if (task.type === "suite") {
+			for (const child of task.tasks) {
+				visit(child, name);
+			}
+			return;
+		}
+		const state = task.result?.state;
+		results.set(name.join(" > "), {
+			state: state === "pass" ? "pass" : state === "fail" ? "fail" : "skip",
+			...(task.result?.errors?.length
+				? { error: task.result.errors[0].message }
+				: {}),
+		});
+	};
+	for (const file of files) {
+		for (const task of file.tasks) {
+			visit(task, []);
+		}
+	}
+	return results;
+};
+
+/**
+ * Runs the kata tests of `main.test.js` against the `asynk` exported by the
+ * module at `solution`, and grades the results.
+ */
+export const check = async (solution) => {
+	const { mkdtemp, rm, writeFile } = await import("node:fs/promises");
+	const { tmpdir } = await import("node:os");
+	const { join, resolve } = await import("node:path");
+	const { fileURLToPath, pathToFileURL } = await import("node:url");
+	const { startVitest } = await import("vitest/node");
+
+	const root = fileURLToPath(new URL(".", import.meta.url));
+	const directory = await mkdtemp(join(tmpdir(), "asynk-kata-"));
+	// What the tests import instead of this repo's main.js: its helpers, but
+	// the solution's asynk.
+	const entry = join(directory, "solution.js");
+	await writeFile(
+		entry,
+		[
+			`export * from ${JSON.stringify(
+				pathToFileURL(join(root, "main.js")).href,
+			)};`,
+			`export { asynk } from ${JSON.stringify(
+				pathToFileURL(resolve(solution)).href,
+			)};`,
+		].join("\n"),
+	);
+	let vitest;
+	try {
+		vitest = await startVitest(
+			"test",
+			["main.test.js"],
+			{
+				root,
+				watch: false,
+				reporters: [{}],
+				// Matched against the describe and it names, after a space.
+				testNamePattern: `^\\s*(?:${kataSuites.map(escape).join("|")}) `,
+			},
+			{
+				resolve: { alias: [{ find: /^\.\/main\.js$/, replacement: entry }] },
+			},
+		);
+		const files = vitest?.state.getFiles() ?? [];
+		const report = grade(collectResults(files), solution);
+		// A solution that cannot be imported fails every test with the same error.
+		const loadError = files.flatMap((x) => x.result?.errors ?? [])[0];
+		if (loadError) {
+			for (const requirement of report.requirements) {
+				for (const test of requirement.tests) {
+					test.error ??= loadError.message;
+				}
+			}
+		}
+		return report;
+	} finally {
+		await vitest?.close();
+		await rm(directory, { recursive: true, force: true });
+	}
+};
@@ -0,0 +1,160 @@
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { check, formatReport, grade, requirements } from "./kata.js";
+
+const allPassing = () =>
+	new Map(
+		requirements.flatMap(({ tests }) =>
+			tests.map((name) => [name, { state: "pass" }]),
+		),
+	);
+
+// A learner's solution that meets every requirement but the last: it awaits
+// non-Promises instead of throwing.
+const lenientSolution = `export const asynk = (generator) =>
+	new Promise((resolve, reject) => {
+		const iterator = generator();
+		const step = (method, arg) => {
+			let result;
+			try {
+				result = iterator[method](arg);
+			} catch (err) {
+				reject(err);
+				return;
+			}
+			if (result.done) {
+				resolve(result.value);
+				return;
+			}
+			Promise.resolve(result.value).then(
+				(x) => step("next", x),
+				(x) => step("throw", x),
+			);
+		};
+		step("next");
+	});
+`;
+
+describe("Kata grading", () => {
+	it("Should have a requirement for every bullet of the README", async () => {
+		const readme = await readFile(
+			new URL("./README.md", import.meta.url),
+			"utf8",
+		);
+		const list = readme.split("It should:\n")[1].split("\n\n")[0];
+		const bullets = list
+			.split("\n")
+			.map((line) => line.trim())
+			.filter((line) => line.startsWith("- "))
+			.map((line) => line.slice(2));
+		expect(requirements.map((x) => x.text)).toEqual(bullets);
+	});
+
+	it("Should only grade tests that exist in main.test.js", async () => {
+		const source = await readFile(
+			new URL("./main.test.js", import.meta.url),
+			"utf8",
+		);
+		for (const { tests } of requirements) {
+			expect(tests.length).toBeGreaterThan(0);
+			for (const name of tests) {
+				const [suite, test] = name.split(" > ");
+				expect(source).toContain(`describe("${suite}"`);
+				expect(source).toContain(`it("${test}"`);
+			}
+		}
+	});
+
+	it("Should meet every requirement when every test passes", () => {
+		const report = grade(allPassing(), "main.js");
+		expect(report.score).toEqual({
+			requirements: requirements.length,
+			totalRequirements: requirements.length,
+			tests: report.score.totalTests,
+			totalTests: requirements.flatMap((x) => x.tests).length,
+		});
+		expect(report.requirements.every((x) => x.met)).toBe(true);
+	});
+
+	it("Should not meet a requirement with a failing or missing test", () => {
+		const results = allPassing();
+		const [failing] = requirements[7].tests;
+		results.set(failing, { state: "fail", error: "expected 1 to be 2\nat..." });
+		results.delete(requirements[2].tests[0]);
+		const report = grade(results, "solution.js");
+		expect(report.score.requirements).toBe(requirements.length - 2);
+		expect(report.score.tests).toBe(report.score.totalTests - 2);
+		expect(report.requirements[7]).toMatchObject({
+			requirement: "Support try/catch in the generator function",
+			met: false,
+		});
+		expect(report.requirements[7].tests[0]).toEqual({
+			name: failing,
+			state: "fail",
+			error: "expected 1 to be 2\nat...",
+		});
+		expect(report.requirements[2].tests[0].state).toBe("skip");
+	});
+
+	it("Should print hints for the requirements that are not met", () => {
+		const results = allPassing();
+		const [failing] = requirements[7].tests;
+		results.set(failing, { state: "fail", error: "expected 1 to be 2\nat..." });
+		const output = formatReport(grade(results, "solution.js"));
+		expect(output).toContain("✓ Return a promise (4/4)");
+		expect(output).toContain(
+			"✗ Support try/catch in the generator function (1/2)",
+		);
+		expect(output).toContain(`    ✗ ${failing}\n      expected 1 to be 2\n`);
+		expect(output).toContain(`    Hint: ${requirements[7].hint}`);
+		expect(output).not.toContain(requirements[1].hint);
+		expect(output).toMatch(/8\/9 requirements met, \d+\/\d+ tests passed$/);
+	});
+});
+
+describe("Kata checking", () => {
+	let directory;
+	beforeAll(async () => {
+		directory = await mkdtemp(join(tmpdir(), "asynk-kata-test-"));
+	});
+	afterAll(() => rm(directory, { recursive: true, force: true }));
+
+	it("Should grade the tests of main.test.js against a solution", async () => {
+		const solution = join(directory, "lenient.js");
+		await writeFile(solution, lenientSolution);
+		const report = await check(solution);
+		expect(report.solution).toBe(solution);
+		expect(report.score).toEqual({
+			requirements: requirements.length - 1,
+			totalRequirements: requirements.length,
+			tests: report.score.totalTests - 1,
+			totalTests: requirements.flatMap((x) => x.tests).length,
+		});
+		expect(report.requirements.map((x) => x.met)).toEqual(
+			requirements.map((_, i) => i !== requirements.length - 1),
+		);
+		const [test] = report.requirements.at(-1).tests;
+		expect(test).toMatchObject({
+			name: "Errors and Rejections > Should only throw in place if a non-Promise is yielded",
+			state: "fail",
+		});
+		expect(test.error).toMatch(/to throw/);
+	}, 60000);
+
+	it("Should fail every test with the error of a solution that cannot be imported", async () => {
+		const solution = join(directory, "broken.js");
+		await writeFile(solution, 'throw new Error("Not implemented yet");\n');
+		const report = await check(solution);
+		expect(report.score.requirements).toBe(0);
+		expect(report.score.tests).toBe(0);
+		for (const { met, tests } of report.requirements) {
+			expect(met).toBe(false);
+			for (const { state, error } of tests) {
+				expect(state).not.toBe("pass");
+				expect(error).toBe("Not implemented yet");
+			}
+		}
+	}, 60000);
+});
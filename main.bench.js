@@ -0,0 +1,103 @@
+import { bench, describe } from "vitest";
+import { asynk } from "./main.js";
+
+const timeout = (x) => new Promise((res) => setTimeout(res, 0, x));
+
+describe("10,000 resolved yields", () => {
+	const count = 10000;
+
+	bench("asynk", async () => {
+		await asynk(function* () {
+			let sum = 0;
+			for (let i = 0; i < count; i += 1) {
+				sum += yield Promise.resolve(i);
+			}
+			return sum;
+		});
+	});
+
+	bench("async", async () => {
+		await (async () => {
+			let sum = 0;
+			for (let i = 0; i < count; i += 1) {
+				sum += await Promise.resolve(i);
+			}
+			return sum;
+		})();
+	});
+});
+
+describe("1,000 caught rejections", () => {
+	const count = 1000;
+
+	bench("asynk", async () => {
+		await asynk(function* () {
+			let caught = 0;
+			for (let i = 0; i < count; i += 1) {
+				try {
+					yield Promise.reject(i);
+				} catch (_) {
+					caught += 1;
+				}
+			}
+			return caught;
+		});
+	});
+
+	bench("async", async () => {
+		await (async () => {
+			let caught = 0;
+			for (let i = 0; i < count; i += 1) {
+				try {
+					await Promise.reject(i);
+				} catch (_) {
+					caught += 1;
+				}
+			}
+			return caught;
+		})();
+	});
+});
+
+describe("1,000 nested calls", () => {
+	const count = 1000;
+	const doubleAsynk = (x) =>
+		asynk(function* () {
+			return (yield Promise.resolve(x)) * 2;
+		});
+	const doubleAsync = async (x) => (await Promise.resolve(x)) * 2;
+
+	bench("asynk", async () => {
+		await asynk(function* () {
+			let sum = 0;
+			for (let i = 0; i < count; i += 1) {
+				sum += yield doubleAsynk(i);
+			}
+			return sum;
+		});
+	});
+
+	bench("async", async () => {
+		await (async () => {
+			let sum = 0;
+			for (let i = 0; i < count; i += 1) {
+				sum += await doubleAsync(i);
+			}
+			return sum;
+		})();
+	});
+});
+
+describe("100 parallel timeouts", () => {
+	const ids = [...Array(100).keys()];
+
+	bench("asynk", async () => {
+		await asynk(function* () {
+			return yield ids.map(timeout);
+		});
+	});
+
+	bench("async", async () => {
+		await (async () => await Promise.all(ids.map(timeout)))();
+	});
+});
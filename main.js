@@ -1,3 +1,1699 @@
-export function asynk(f) {
-	// How can we make this sweet?
+import { Journal } from "./durable.js";
+import {
+	effectSite,
+	isEffect,
+	isGenerator,
+	recordEffectSites,
+} from "./effects.js";
+import { isThenable, listenOnce } from "./interop.js";
+import { Stream, forEach } from "./iteration.js";
+import {
+	checkRejections,
+	rejectedUnhandled,
+	rejectionHandled,
+	reportUncaught,
+	setRejectionHandler,
+	takeCollected,
+} from "./rejections.js";
+import { DisposalError, disposeAll, disposerFor } from "./resources.js";
+import { MemoCache } from "./memo.js";
+import { Pool } from "./pool.js";
+import { Supervisor, scope } from "./scope.js";
+import { realScheduler } from "./scheduler.js";
+import { waitFor } from "./sync.js";
+import { TraceRecorder } from "./trace.js";
+
+export {
+	call,
+	delay,
+	fork,
+	join,
+	progress,
+	retry,
+	stepThrough,
+} from "./effects.js";
+export {
+	FileStore,
+	MemoryStore,
+	NonDeterminismError,
+} from "./durable.js";
+export { cps, once, thenable, thunk } from "./interop.js";
+export { BREAK } from "./iteration.js";
+export { UnhandledRejectionError } from "./rejections.js";
+export { DisposalError, use } from "./resources.js";
+export { ScopeError } from "./scope.js";
+export { VirtualScheduler } from "./scheduler.js";
+export {
+	CLOSED,
+	Channel,
+	ChannelClosedError,
+	Mutex,
+	Semaphore,
+	select,
+} from "./sync.js";
+
+/**
+ * Rejection reason of an asynk task that was cancelled, either through the
+ * `signal` option or by calling `cancel()` on the returned promise.
+ * The value passed to `cancel()` (or the signal's reason) is kept as `cause`.
+ */
+export class AbortError extends Error {
+	constructor(message, options) {
+		super(message ?? "The asynk task was aborted", options);
+		this.name = "AbortError";
+	}
 }
+
+/**
+ * Rejection reason when one of the entries of a yielded array, object or Map
+ * rejects. `key` is the entry that failed, `path` the keys leading to it from
+ * the outermost yielded value, and `cause` the original rejection reason.
+ */
+export class ParallelError extends Error {
+	constructor(key, cause) {
+		const path = [key, ...(cause instanceof ParallelError ? cause.path : [])];
+		super(`Yielded entry at [${path.map(String).join(", ")}] rejected`, {
+			cause,
+		});
+		this.name = "ParallelError";
+		this.key = key;
+		this.path = path;
+	}
+}
+
+/**
+ * Thrown into the generator at a `yield` that took longer than the
+ * `stepTimeout` option, and the rejection reason of a task that did not
+ * settle within its `timeout`.
+ */
+export class TimeoutError extends Error {
+	constructor(message, options) {
+		super(message ?? "The asynk task timed out", options);
+		this.name = "TimeoutError";
+	}
+}
+
+const isPromise = (x) => x instanceof Promise;
+
+// Waits on an asynk promise without counting as handling its rejection.
+const { then } = Promise.prototype;
+
+// The task behind an asynk promise. Kept on the promise itself rather than in
+// a WeakMap, which would make every task noticeably costlier to collect.
+let taskOf;
+
+// Adds `listener` to the `listeners` set of `task`, and returns a function
+// removing it.
+const listen = (task, listeners, listener) => {
+	task[listeners] ??= new Set();
+	task[listeners].add(listener);
+	return () => {
+		task[listeners].delete(listener);
+	};
+};
+
+/**
+ * The promise returned by `asynk`. It behaves like any other Promise, but
+ * also carries `cancel(reason)` to tear down the generator driving it, and
+ * `pause()` and `resume()` to hold it at its next `yield`, with `paused` and
+ * `onPauseChange(listener)` to follow whether it is held.
+ * Promises derived through `then`/`catch`/`finally` are plain Promises.
+ */
+class AsynkPromise extends Promise {
+	#task;
+
+	constructor(executor, task) {
+		super(executor);
+		this.#task = task;
+	}
+
+	static get [Symbol.species]() {
+		return Promise;
+	}
+
+	static {
+		taskOf = (x) => (x instanceof AsynkPromise ? x.#task : undefined);
+	}
+
+	// Attaching any callback hands the rejection over to the derived promise.
+	then(onFulfilled, onRejected) {
+		this.#task?.observe();
+		return super.then(onFulfilled, onRejected);
+	}
+
+	cancel(reason) {
+		this.#task?.cancel(reason);
+	}
+
+	pause() {
+		this.#task?.pause();
+	}
+
+	resume() {
+		this.#task?.unpause();
+	}
+
+	get paused() {
+		return this.#task?.paused ?? false;
+	}
+
+	/**
+	 * Calls `listener` with `true` whenever the task is paused, and with
+	 * `false` whenever it stops being paused, until the returned function is
+	 * called.
+	 */
+	onPauseChange(listener) {
+		return this.#task === undefined
+			? () => {}
+			: listen(this.#task, "pauseListeners", listener);
+	}
+}
+
+let debugging = false;
+
+let fidelity = false;
+
+// Calls each of `listeners` with `value`.
+const callListeners = (listeners, value) => {
+	for (const listener of listeners ?? []) {
+		try {
+			listener(value);
+		} catch (err) {
+			// A listener that throws must not break the task reporting to it, and
+			// is reported like an unhandled rejection.
+			reportUncaught(err);
+		}
+	}
+};
+
+let nextTaskId = 1;
+
+const emptyContext = Object.freeze({});
+
+// The task whose generator body is executing, which is the parent of any
+// task started from it.
+let runningTask = null;
+
+const instruments = new Set();
+
+// Calls the `hook` of every registered instrument with what `describe`
+// returns, which is only computed if some instrument is registered.
+const report = (hook, describe) => {
+	if (instruments.size === 0) {
+		return;
+	}
+	const event = describe();
+	for (const instrument of instruments) {
+		try {
+			instrument[hook]?.(event);
+		} catch (err) {
+			// An instrument that throws must not break the task it observes, and
+			// is reported like an unhandled rejection.
+			reportUncaught(err);
+		}
+	}
+};
+
+const internalFiles = [
+	new URL(import.meta.url).pathname,
+	new URL("./effects.js", import.meta.url).pathname,
+	new URL("./interop.js", import.meta.url).pathname,
+	new URL("./resources.js", import.meta.url).pathname,
+	new URL("./sync.js", import.meta.url).pathname,
+];
+
+// The location of the first frame of a captured stack that is outside of
+// asynk itself.
+const callSite = (stack) =>
+	stack
+		?.split("\n")
+		.slice(1)
+		.map((line) => line.trim().replace(/^at (?:.* \((.*)\)|(.*))$/, "$1$2"))
+		.find((frame) => !internalFiles.some((file) => frame.includes(file)));
+
+// In debug mode, appends a line for `task` to the stack of an error it is
+// rejecting with, the way V8 lists the async functions an error went through.
+const addAsyncFrame = (err, task) => {
+	if (!(err instanceof Error) || typeof err.stack !== "string") {
+		return;
+	}
+	const started = callSite(task.stack);
+	const where =
+		callSite(task.yieldSite) ??
+		`yield #${task.steps}${started ? `, started at ${started}` : ""}`;
+	try {
+		err.stack += `\n    at async ${task.name || "<anonymous>"} (${where})`;
+	} catch (_) {
+		// Frozen errors keep the stack they have.
+	}
+};
+
+const isPlainObject = (x) => {
+	if (x === null || typeof x !== "object") {
+		return false;
+	}
+	const proto = Object.getPrototypeOf(x);
+	return proto === Object.prototype || proto === null;
+};
+
+/**
+ * What a `fork` effect resumes the generator with: the forked task's
+ * `promise`, and `cancel(reason)` to stop it. Joining it with `join` waits
+ * for the promise to settle.
+ */
+class ForkedTask {
+	constructor(promise) {
+		this.promise = promise;
+	}
+
+	cancel(reason) {
+		this.promise.cancel(reason);
+	}
+}
+
+// Starts `f` as a child of `task`, so that it is cancelled along with it:
+// for the current `yield` only when `forStep`, otherwise for the lifetime of
+// the task. `effect` is the effect that started it, where it was started from.
+const spawn = (task, f, forStep, effect) => {
+	const child = asynk(f, {
+		name: effect.fn.name,
+		stack: effectSite(effect),
+		parent: task,
+	});
+	taskOf(child).whenSettled(
+		task.track((reason) => child.cancel(reason), forStep),
+	);
+	return child;
+};
+
+// Calls `fn(...args)` for a `call`-like effect, rejecting rather than throwing.
+// Tasks it starts are started from `task`, as if it had been called there.
+const invoke = (task, effect, fn, args) => {
+	const parent = runningTask;
+	runningTask = task;
+	try {
+		const result = fn(...args);
+		if (isGenerator(result)) {
+			return spawn(task, () => result, true, effect);
+		}
+		// A task started inside an asynk.fn wrapper was started from the effect,
+		// and is stopped along with the `yield` like a generator it returned.
+		const child = taskOf(result);
+		if (child) {
+			if (debugging && !callSite(child.stack)) {
+				child.stack = effectSite(effect);
+			}
+			child.whenSettled(task.track((reason) => result.cancel(reason), true));
+		}
+		return result;
+	} catch (err) {
+		return Promise.reject(err);
+	} finally {
+		runningTask = parent;
+	}
+};
+
+/**
+ * The rejection reason of a `retry` effect that ran out of attempts, with
+ * the failure of every attempt in `errors`.
+ */
+export class RetryError extends AggregateError {
+	constructor(errors) {
+		super(errors, `The operation failed after ${errors.length} attempts`, {
+			cause: errors.at(-1),
+		});
+		this.name = "RetryError";
+	}
+}
+
+const backoffDelay = (options, attempt) => {
+	const {
+		backoff = "exponential",
+		delay = 100,
+		factor = 2,
+		maxDelay = Number.POSITIVE_INFINITY,
+		jitter = false,
+	} = options;
+	let ms = delay;
+	if (typeof backoff === "function") {
+		ms = backoff(attempt);
+	} else if (backoff === "exponential") {
+		ms = delay * factor ** (attempt - 1);
+	} else if (backoff === "linear") {
+		ms = delay * attempt;
+	}
+	ms = Math.min(ms, maxDelay);
+	// `true` spreads the delay over all of [0, ms], a number over that fraction.
+	return jitter ? ms * (1 - Number(jitter) * Math.random()) : ms;
+};
+
+const runRetry = (effect, task) =>
+	new Promise((resolve, reject) => {
+		const { operation, options } = effect;
+		const { attempts = 3, retryIf = () => true } = options;
+		const errors = [];
+		let stopped = false;
+		let timer;
+		const release = task.track((reason) => {
+			stopped = true;
+			task.scheduler.clearTimeout(timer);
+			reject(reason);
+		}, true);
+		const attempt = (n) => {
+			Promise.resolve(invoke(task, effect, operation, [n])).then(
+				(value) => {
+					release();
+					resolve(value);
+				},
+				(err) => {
+					if (stopped) {
+						return;
+					}
+					errors.push(err);
+					let retryable;
+					try {
+						retryable = n < attempts && retryIf(err, n);
+					} catch (retryIfErr) {
+						release();
+						reject(retryIfErr);
+						return;
+					}
+					if (retryable) {
+						timer = task.scheduler.setTimeout(
+							() => attempt(n + 1),
+							backoffDelay(options, n),
+						);
+						return;
+					}
+					release();
+					// An error retryIf turned down is surfaced as is.
+					reject(n < attempts ? err : new RetryError(errors));
+				},
+			);
+		};
+		attempt(1);
+	});
+
+// Waits for an operation started with `start({ resolve, reject })`, which
+// returns a function withdrawing it if the task stops waiting for it.
+const runWithdrawable = (task, start) =>
+	new Promise((resolve, reject) => {
+		let release;
+		const settle = (f) => (x) => {
+			release?.();
+			f(x);
+		};
+		const withdraw = start({
+			resolve: settle(resolve),
+			reject: settle(reject),
+		});
+		if (withdraw) {
+			release = task.track(withdraw, true);
+		}
+	});
+
+// Calls a Node-style function on behalf of `task`, like `invoke`.
+const runCallback = (effect, task) =>
+	new Promise((resolve, reject) => {
+		const parent = runningTask;
+		runningTask = task;
+		try {
+			effect.fn(...effect.args, (err, value) => {
+				if (err) {
+					reject(err);
+				} else {
+					resolve(value);
+				}
+			});
+		} finally {
+			runningTask = parent;
+		}
+	});
+
+// Waits for the resource of a `use` effect, and has `task` dispose of it
+// once its generator is done. One that comes after the task stopped waiting
+// for it is disposed of right away.
+const runUse = (effect, task) =>
+	new Promise((resolve, reject) => {
+		let abandoned = false;
+		const release = task.track(() => {
+			abandoned = true;
+		}, true);
+		Promise.resolve(toPromise(effect.acquire, task)).then(
+			(resource) => {
+				release();
+				let disposer;
+				try {
+					disposer = disposerFor(resource, effect.release);
+				} catch (err) {
+					reject(err);
+					return;
+				}
+				if (abandoned) {
+					task.reportDisposalErrors(disposeAll([disposer]));
+					return;
+				}
+				(task.disposers ??= []).push(disposer);
+				resolve(resource);
+			},
+			(err) => {
+				release();
+				reject(err);
+			},
+		);
+	});
+
+const runEffect = (effect, task) => {
+	try {
+		return startEffect(effect, task);
+	} catch (err) {
+		// Whatever the effect throws is thrown at the `yield`, never in place.
+		return Promise.reject(err);
+	}
+};
+
+const startEffect = (effect, task) => {
+	switch (effect.type) {
+		case "call":
+			return invoke(task, effect, effect.fn, effect.args);
+		case "delay":
+			return new Promise((resolve) => {
+				const timer = task.scheduler.setTimeout(() => {
+					release();
+					resolve(effect.value);
+				}, effect.ms);
+				const release = task.track(
+					() => task.scheduler.clearTimeout(timer),
+					true,
+				);
+			});
+		case "fork": {
+			const child = spawn(task, () => effect.fn(...effect.args), false, effect);
+			// Wrapped, as resuming with the promise itself would wait for it.
+			return Promise.resolve(new ForkedTask(child));
+		}
+		case "join":
+			return effect.task instanceof ForkedTask
+				? effect.task.promise
+				: effect.task;
+		case "retry":
+			return runRetry(effect, task);
+		case "progress":
+			task.reportProgress(effect.value);
+			return undefined;
+		case "cps":
+			return runCallback(effect, task);
+		case "use":
+			return runUse(effect, task);
+		case "thenable":
+			// Followed the way a Promise follows a thenable it resolves to.
+			return new Promise((resolve) => resolve(effect.value));
+		case "once":
+			return runWithdrawable(task, (callbacks) =>
+				listenOnce(effect, callbacks),
+			);
+		case "put":
+		case "take":
+		case "acquire":
+		case "select":
+			return runWithdrawable(task, (callbacks) =>
+				waitFor(effect, {
+					...callbacks,
+					hold: (unlock) => task.hold(unlock),
+					undoable: (undo) => {
+						task.handoff = undo;
+					},
+				}),
+			);
+		default:
+			throw new TypeError(`Unknown effect type ${effect.type}`);
+	}
+};
+
+// Waits on every entry the way `Promise.all` does, so that the generator
+// resumes on the same microtask as an `await Promise.all(...)` would: a
+// `catch` on each entry to name it in the ParallelError would take one more.
+const all = (entries, build, task) => {
+	const promises = entries.map(([, value]) => toPromise(value, task));
+	return new Promise((resolve, reject) => {
+		const results = new Array(promises.length);
+		let remaining = promises.length;
+		if (remaining === 0) {
+			resolve(build(results));
+			return;
+		}
+		promises.forEach((promise, i) => {
+			(isPromise(promise) ? promise : Promise.resolve(promise)).then(
+				(x) => {
+					results[i] = x;
+					remaining -= 1;
+					if (remaining === 0) {
+						resolve(build(results));
+					}
+				},
+				(err) => reject(new ParallelError(entries[i][0], err)),
+			);
+		});
+	});
+};
+
+// Turns a yielded value into something to await. Arrays, plain objects and
+// Maps are awaited concurrently and resume the generator with the same shape,
+// and effects are run on behalf of `task`.
+const toPromise = (value, task) => {
+	if (value === undefined || isPromise(value)) {
+		return value;
+	}
+	if (isEffect(value)) {
+		return runEffect(value, task);
+	}
+	if (Array.isArray(value)) {
+		return all(
+			value.map((x, i) => [i, x]),
+			(results) => results,
+			task,
+		);
+	}
+	if (value instanceof Map) {
+		const entries = [...value];
+		return all(
+			entries,
+			(results) => new Map(results.map((x, i) => [entries[i][0], x])),
+			task,
+		);
+	}
+	if (isThenable(value)) {
+		throw new TypeError(
+			"asynk can only yield Promises, but got a thenable: wrap it with thenable()",
+		);
+	}
+	if (isPlainObject(value)) {
+		const entries = Object.entries(value);
+		return all(
+			entries,
+			(results) =>
+				Object.fromEntries(results.map((x, i) => [entries[i][0], x])),
+			task,
+		);
+	}
+	throw new TypeError(
+		`asynk can only yield Promises, but got ${String(value)}`,
+	);
+};
+
+// Every asynk promise found in a yielded value, however deeply nested.
+const awaitedTasks = (value) => {
+	if (value instanceof AsynkPromise) {
+		return [value];
+	}
+	if (Array.isArray(value) || value instanceof Map) {
+		return [...value.values()].flatMap(awaitedTasks);
+	}
+	if (isPlainObject(value)) {
+		return Object.values(value).flatMap(awaitedTasks);
+	}
+	return [];
+};
+
+class Task {
+	constructor(
+		f,
+		{
+			signal,
+			timeout,
+			stepTimeout,
+			maxPause,
+			name,
+			stack,
+			context,
+			parent = runningTask,
+			scheduler = parent?.scheduler ?? realScheduler,
+		} = {},
+	) {
+		this.generator = f();
+		this.id = nextTaskId;
+		nextTaskId += 1;
+		this.name = name ?? f.name;
+		this.parent = parent;
+		this.scheduler = scheduler;
+		this.context =
+			context === undefined
+				? parent?.context ?? emptyContext
+				: Object.freeze({ ...parent?.context, ...context });
+		this.state = "pending";
+		this.steps = 0;
+		this.startedAt = undefined;
+		this.suspendedAt = undefined;
+		this.settledAt = undefined;
+		// The value or error the task settled with, and the last value it
+		// reported with `progress`, for `asynk.task` handles.
+		this.outcome = undefined;
+		this.progress = undefined;
+		this.progressListeners = undefined;
+		this.pauseListeners = undefined;
+		// In debug mode, where the task was started and where it is suspended.
+		this.stack = debugging ? stack ?? new Error().stack : undefined;
+		this.yieldSite = undefined;
+		this.signal = signal;
+		this.timeout = timeout;
+		this.stepTimeout = stepTimeout;
+		this.deadlineTimer = undefined;
+		this.stepTimer = undefined;
+		this.settled = false;
+		// Whether anything attached a callback to the promise.
+		this.observed = false;
+		// Whether the task was started in fidelity mode, where native `await`s
+		// attach their callbacks unseen, so the host reports rejections.
+		this.fidelity = fidelity;
+		// For durable tasks, the journal their yields are replayed from, then
+		// recorded to.
+		this.journal = undefined;
+		// Set while the generator body is executing, so a cancel issued from
+		// inside the body is deferred to the next `yield`.
+		this.running = false;
+		// What to reject with once the task has been cancelled or timed out.
+		this.cancellation = null;
+		this.returning = false;
+		this.awaiting = undefined;
+		// While paused, how the generator is to be resumed once it is no longer,
+		// if what it yielded has settled already.
+		this.paused = false;
+		this.pausedStep = undefined;
+		this.maxPause = maxPause;
+		this.pauseTimer = undefined;
+		// Sets of functions called with the cancel reason when the task is
+		// cancelled, to stop the timers and child tasks started by the effects
+		// it yielded: those that live as long as the task, and those that only
+		// live for the current `yield`, which also stop when it times out.
+		// Created by `track` the first time one is needed.
+		this.teardowns = undefined;
+		this.stepTeardowns = undefined;
+		// Functions giving back the semaphore permits the task holds, which are
+		// called once it settles.
+		this.held = undefined;
+		// Functions called with the state the task settles in, for asynk's own
+		// waits on it, which unlike a callback attached to its promise do not
+		// count as handling its rejection.
+		this.settledCallbacks = undefined;
+		// Functions disposing of the resources acquired with `use`, which are
+		// called last first once the generator is done, before the task settles.
+		this.disposers = undefined;
+		this.disposing = false;
+		// Undoes the operation on a channel or semaphore that went through for
+		// the current `yield`, should the task stop waiting on it before being
+		// resumed with its outcome, so that a value taken is not lost.
+		this.handoff = undefined;
+		// Bumped whenever a pending wait is abandoned, so late settlements of the
+		// promise we stopped waiting on are ignored.
+		this.generation = 0;
+		this.bindResume();
+		this.onStepTimeout =
+			stepTimeout === undefined ? undefined : () => this.timeOutStep();
+		this.inPlace = false;
+		this.onAbort =
+			signal === undefined ? undefined : () => this.cancel(signal.reason);
+		this.promise = new AsynkPromise((resolve, reject) => {
+			this.resolve = resolve;
+			this.reject = reject;
+		}, this);
+		if (fidelity) {
+			Object.defineProperty(this.promise, "constructor", {
+				value: Promise,
+				writable: true,
+				configurable: true,
+			});
+		}
+	}
+
+	start() {
+		const { signal } = this;
+		this.startedAt = this.scheduler.now();
+		if (instruments.size > 0) {
+			report("onStart", () => this.describe({ time: this.startedAt }));
+		}
+		if (signal?.aborted) {
+			this.generator.return();
+			this.cancellation = new AbortError(undefined, { cause: signal.reason });
+			this.fail(this.cancellation);
+			return;
+		}
+		signal?.addEventListener("abort", this.onAbort, { once: true });
+		if (this.timeout !== undefined) {
+			this.deadlineTimer = this.scheduler.setTimeout(() => {
+				const err = new TimeoutError(
+					`The asynk task did not settle within ${this.timeout}ms`,
+				);
+				this.stop(err);
+				// `finally` blocks still waiting on something go on unseen.
+				if (!this.settled) {
+					this.fail(err);
+				}
+			}, this.timeout);
+		}
+		// Yielding a non-Promise before the first suspension throws in place.
+		this.inPlace = true;
+		try {
+			this.step("next", undefined);
+		} catch (err) {
+			this.cleanup();
+			throw err;
+		} finally {
+			this.inPlace = false;
+		}
+	}
+
+	// Runs the generator up to its next `yield` and starts waiting on what it
+	// yielded. This loops, rather than recursing, whenever the generator has to
+	// be resumed again right away, so that the stack stays flat however many
+	// times that happens.
+	step(method, arg) {
+		for (;;) {
+			if (this.paused) {
+				this.pausedStep = [method, arg];
+				return;
+			}
+			this.handoff = undefined;
+			if (this.suspendedAt !== undefined) {
+				this.reportResume(method);
+			}
+			this.awaiting = undefined;
+			let result;
+			const parent = runningTask;
+			runningTask = this;
+			this.running = true;
+			try {
+				result = this.generator[method](arg);
+			} catch (err) {
+				this.finish(true, err);
+				return;
+			} finally {
+				this.running = false;
+				runningTask = parent;
+			}
+			if (result.done) {
+				const err = this.cancellation ?? this.journal?.leftover();
+				if (err) {
+					this.finish(true, err);
+				} else {
+					this.finish(false, result.value);
+				}
+				return;
+			}
+			if (this.cancellation && !this.returning) {
+				this.returning = true;
+				method = "return";
+				arg = undefined;
+				continue;
+			}
+			this.steps += 1;
+			if (instruments.size > 0) {
+				this.suspendedAt = this.scheduler.now();
+				report("onYield", () =>
+					this.describe({ time: this.suspendedAt, value: result.value }),
+				);
+			}
+			if (this.journal?.replaying) {
+				try {
+					[method, arg] = this.journal.replay(result.value);
+				} catch (err) {
+					this.stop(err);
+					return;
+				}
+				continue;
+			}
+			let promise;
+			try {
+				promise = toPromise(result.value, this);
+			} catch (err) {
+				if (this.inPlace) {
+					throw err;
+				}
+				// Journaled like any other way a `yield` is resumed, so that it
+				// gets replayed.
+				if (this.journal !== undefined) {
+					this.awaiting = result.value;
+					this.resume(this.generation, "throw", err);
+					return;
+				}
+				method = "throw";
+				arg = err;
+				continue;
+			}
+			this.wait(result.value, promise);
+			return;
+		}
+	}
+
+	reportResume(method) {
+		if (instruments.size === 0) {
+			this.suspendedAt = undefined;
+			return;
+		}
+		report("onResume", () => {
+			const time = this.scheduler.now();
+			return this.describe({
+				time,
+				suspended: time - this.suspendedAt,
+				method,
+			});
+		});
+		this.suspendedAt = undefined;
+	}
+
+	wait(value, promise) {
+		this.awaiting = value;
+		if (debugging) {
+			this.yieldSite = isEffect(value)
+				? effectSite(value)
+				: taskOf(value)?.stack;
+		}
+		if (this.stepTimeout !== undefined) {
+			this.stepTimer = this.scheduler.setTimeout(
+				this.onStepTimeout,
+				this.stepTimeout,
+			);
+		}
+		// Promises are waited on directly: going through Promise.resolve would
+		// allocate a new one for every asynk promise, being a subclass.
+		(isPromise(promise) ? promise : Promise.resolve(promise)).then(
+			this.onFulfilled,
+			this.onRejected,
+		);
+	}
+
+	// Creates the callbacks given to every awaited promise. They are reused
+	// from one `yield` to the next, and only replaced when a wait is abandoned,
+	// so that the promise that was abandoned can no longer resume the task.
+	bindResume() {
+		const { generation } = this;
+		this.onFulfilled = (x) => this.resume(generation, "next", x);
+		this.onRejected = (err) => this.resume(generation, "throw", err);
+	}
+
+	// Registers `teardown` to be called if the task is cancelled, or also if
+	// the current `yield` times out when `forStep`, and returns a function that
+	// unregisters it.
+	track(teardown, forStep) {
+		const teardowns = forStep
+			? (this.stepTeardowns ??= new Set())
+			: (this.teardowns ??= new Set());
+		teardowns.add(teardown);
+		return () => {
+			teardowns.delete(teardown);
+		};
+	}
+
+	// Registers `release` to be called once the task settles, and returns a
+	// function that unregisters it.
+	hold(release) {
+		const held = (this.held ??= new Set());
+		held.add(release);
+		return () => {
+			held.delete(release);
+		};
+	}
+
+	// Registers `callback` to be called with the state the task settles in, a
+	// microtask after it does.
+	whenSettled(callback) {
+		if (this.state !== "pending") {
+			queueMicrotask(() => callback(this.state));
+			return;
+		}
+		(this.settledCallbacks ??= new Set()).add(callback);
+	}
+
+	// Stops waiting on the current `yield`.
+	abandon() {
+		this.generation += 1;
+		this.bindResume();
+		if (this.handoff !== undefined) {
+			const undo = this.handoff;
+			this.handoff = undefined;
+			undo();
+		}
+		if (this.stepTimer !== undefined) {
+			this.scheduler.clearTimeout(this.stepTimer);
+			this.stepTimer = undefined;
+		}
+	}
+
+	// Resumes the generator once what it waited on at the `yield` of
+	// `generation` has settled, after journaling how for a durable task.
+	resume(generation, method, arg) {
+		if (generation !== this.generation) {
+			return;
+		}
+		if (this.journal !== undefined) {
+			this.journal.record(this.awaiting, method, arg).then(
+				() => this.schedule(generation, method, arg),
+				(err) => this.stop(err),
+			);
+			return;
+		}
+		this.schedule(generation, method, arg);
+	}
+
+	// Resumes the generator through the scheduler.
+	schedule(generation, method, arg) {
+		if (generation !== this.generation) {
+			return;
+		}
+		if (this.scheduler === realScheduler) {
+			this.resumeNow(method, arg);
+			return;
+		}
+		this.scheduler.schedule(
+			() => {
+				if (generation === this.generation) {
+					this.resumeNow(method, arg);
+				}
+			},
+			{ id: this.id, name: this.name, step: this.steps },
+		);
+	}
+
+	resumeNow(method, arg) {
+		if (this.stepTimer !== undefined) {
+			this.scheduler.clearTimeout(this.stepTimer);
+			this.stepTimer = undefined;
+		}
+		this.step(method, arg);
+	}
+
+	// Stops waiting on the current `yield` and throws a TimeoutError there.
+	timeOutStep() {
+		const err = new TimeoutError(
+			`The yielded value did not settle within ${this.stepTimeout}ms`,
+		);
+		this.stepTimer = undefined;
+		this.abandon();
+		for (const task of awaitedTasks(this.awaiting)) {
+			task.cancel(err);
+		}
+		for (const teardown of [...(this.stepTeardowns ?? [])]) {
+			teardown(err);
+		}
+		if (this.journal !== undefined) {
+			this.resume(this.generation, "throw", err);
+			return;
+		}
+		this.step("throw", err);
+	}
+
+	cancel(reason) {
+		this.stop(new AbortError(undefined, { cause: reason }));
+	}
+
+	// Keeps the generator from being resumed until `unpause`, for at most
+	// `maxPause` milliseconds.
+	pause() {
+		if (this.paused || this.settled || this.cancellation || this.disposing) {
+			return;
+		}
+		this.paused = true;
+		if (this.maxPause !== undefined) {
+			this.pauseTimer = this.scheduler.setTimeout(
+				() => this.unpause(),
+				this.maxPause,
+			);
+		}
+		callListeners(this.pauseListeners, true);
+	}
+
+	// Resumes the generator with what it yielded, if that settled while the
+	// task was paused.
+	unpause() {
+		if (!this.paused) {
+			return;
+		}
+		this.paused = false;
+		this.scheduler.clearTimeout(this.pauseTimer);
+		this.pauseTimer = undefined;
+		const pausedStep = this.pausedStep;
+		this.pausedStep = undefined;
+		callListeners(this.pauseListeners, false);
+		if (pausedStep !== undefined) {
+			this.schedule(this.generation, ...pausedStep);
+		}
+	}
+
+	// Returns from the generator at its current `yield`, and rejects with `err`
+	// once it is done.
+	stop(err) {
+		if (this.settled) {
+			return;
+		}
+		if (this.disposing) {
+			// The generator is done already: only stop waiting for its resources
+			// to be disposed of, which goes on unseen.
+			this.cancellation = err;
+			this.fail(err);
+			return;
+		}
+		if (this.cancellation) {
+			return;
+		}
+		this.cancellation = err;
+		// A paused task is stopped all the same, from where it was paused.
+		this.pausedStep = undefined;
+		this.unpause();
+		const reason = err instanceof AbortError ? err.cause : err;
+		for (const task of awaitedTasks(this.awaiting)) {
+			task.cancel(reason);
+		}
+		for (const teardown of [
+			...(this.stepTeardowns ?? []),
+			...(this.teardowns ?? []),
+		]) {
+			teardown(reason);
+		}
+		if (this.running) {
+			return;
+		}
+		this.abandon();
+		this.returning = true;
+		this.step("return", undefined);
+	}
+
+	// Settles the task once the generator is done, with the error it
+	// `failed` with or the value it returned, after disposing of the resources
+	// it acquired with `use`. An error thrown while disposing of them is what
+	// the task fails with unless it is failing already, and is reported
+	// otherwise. Timing out or being cancelled meanwhile settles the task
+	// without waiting for them any longer. A task that timed out before its
+	// `finally` blocks were done has settled already, and only reports what
+	// they threw.
+	finish(failed, outcome) {
+		if (this.settled && failed && outcome !== this.cancellation) {
+			reportUncaught(outcome);
+		}
+		if (this.disposers === undefined) {
+			if (this.settled) {
+				// Gives back what was acquired in the `finally` blocks.
+				this.cleanup();
+				return;
+			}
+			if (failed) {
+				this.fail(outcome);
+			} else {
+				this.succeed(outcome);
+			}
+			return;
+		}
+		this.disposing = true;
+		const disposers = this.disposers;
+		this.disposers = undefined;
+		disposeAll(disposers).then((errors) => {
+			this.disposing = false;
+			// Timed out or cancelled while disposing of them.
+			if (this.settled) {
+				this.reportDisposalErrors(errors);
+				return;
+			}
+			this.reportDisposalErrors(failed ? errors : errors.slice(1));
+			if (failed) {
+				this.fail(outcome);
+			} else if (errors.length > 0) {
+				this.fail(errors[0]);
+			} else {
+				this.succeed(outcome);
+			}
+		});
+	}
+
+	// Reports each of `errors`, or of the errors a Promise resolves to.
+	reportDisposalErrors(errors) {
+		Promise.resolve(errors).then((xs) => {
+			for (const error of xs) {
+				reportUncaught(
+					new DisposalError({ id: this.id, name: this.name, error }),
+				);
+			}
+		});
+	}
+
+	succeed(value) {
+		this.cleanup();
+		this.resolve(value);
+		if (isPromise(value)) {
+			value.then(
+				(x) => this.settle("fulfilled", { value: x }),
+				(err) => this.settle("rejected", { error: err }),
+			);
+		} else {
+			this.settle("fulfilled", { value });
+		}
+	}
+
+	fail(err) {
+		this.cleanup();
+		if (debugging) {
+			addAsyncFrame(err, this);
+		}
+		this.reject(err);
+		const cancelled = err === this.cancellation && err instanceof AbortError;
+		this.settle(cancelled ? "cancelled" : "rejected", { error: err });
+	}
+
+	reportProgress(value) {
+		this.progress = value;
+		callListeners(this.progressListeners, value);
+	}
+
+	observe() {
+		if (!this.observed) {
+			this.observed = true;
+			rejectionHandled(this);
+		}
+	}
+
+	settle(state, outcome) {
+		this.state = state;
+		this.outcome = outcome;
+		this.settledAt = this.scheduler.now();
+		if (state !== "fulfilled" && !this.observed) {
+			// Reported by asynk, which can name the task, rather than by the host,
+			// and only if it was not cancelled on purpose. In fidelity mode, only
+			// the host knows whether a rejection was handled.
+			if (state === "cancelled" || !this.fidelity) {
+				then.call(this.promise, undefined, () => {});
+			}
+			if (state === "rejected" && !this.fidelity) {
+				rejectedUnhandled(this, () => this.describe({ error: outcome.error }));
+			}
+		}
+		for (const callback of this.settledCallbacks ?? []) {
+			queueMicrotask(() => callback(state));
+		}
+		this.settledCallbacks = undefined;
+		if (instruments.size === 0) {
+			return;
+		}
+		report("onSettle", () =>
+			this.describe({
+				time: this.settledAt,
+				// Nothing ran for a task cancelled before it started.
+				duration: this.settledAt - (this.startedAt ?? this.settledAt),
+				state,
+				...outcome,
+			}),
+		);
+	}
+
+	// What instruments are told about the task.
+	describe(details) {
+		return {
+			id: this.id,
+			name: this.name,
+			parentId: this.parent?.id,
+			step: this.steps,
+			...details,
+		};
+	}
+
+	cleanup() {
+		// Only the generator pausing itself before returning gets here paused.
+		this.unpause();
+		this.settled = true;
+		this.awaiting = undefined;
+		this.scheduler.clearTimeout(this.deadlineTimer);
+		this.scheduler.clearTimeout(this.stepTimer);
+		this.signal?.removeEventListener("abort", this.onAbort);
+		for (const release of [...(this.held ?? [])]) {
+			release();
+		}
+	}
+}
+
+/**
+ * What `asynk.task` returns: a live view of a running asynk task.
+ */
+class TaskHandle {
+	#task;
+
+	constructor(task) {
+		this.#task = task;
+		this.promise = task.promise;
+	}
+
+	get id() {
+		return this.#task.id;
+	}
+
+	get name() {
+		return this.#task.name;
+	}
+
+	/** "pending", "fulfilled", "rejected" or "cancelled". */
+	get state() {
+		return this.#task.state;
+	}
+
+	/** How many times the generator has yielded so far. */
+	get steps() {
+		return this.#task.steps;
+	}
+
+	/** What the generator is suspended on, if it is. */
+	get awaiting() {
+		return this.#task.awaiting;
+	}
+
+	/** Milliseconds since the task started, up to when it settled. */
+	get elapsed() {
+		const { scheduler, settledAt, startedAt } = this.#task;
+		return (settledAt ?? scheduler.now()) - startedAt;
+	}
+
+	/** The last value the generator reported with `progress`. */
+	get progress() {
+		return this.#task.progress;
+	}
+
+	/** Whether the task is paused. */
+	get paused() {
+		return this.#task.paused;
+	}
+
+	get result() {
+		return this.#task.outcome?.value;
+	}
+
+	get error() {
+		return this.#task.outcome?.error;
+	}
+
+	/**
+	 * Calls `listener` with every value the generator reports with `progress`,
+	 * until the returned function is called.
+	 */
+	onProgress(listener) {
+		return listen(this.#task, "progressListeners", listener);
+	}
+
+	/**
+	 * Calls `listener` with `true` whenever the task is paused, and with
+	 * `false` whenever it stops being paused, until the returned function is
+	 * called.
+	 */
+	onPauseChange(listener) {
+		return listen(this.#task, "pauseListeners", listener);
+	}
+
+	cancel(reason) {
+		this.#task.cancel(reason);
+	}
+
+	pause() {
+		this.#task.pause();
+	}
+
+	resume() {
+		this.#task.unpause();
+	}
+}
+
+/**
+ * Runs a generator function as if it were an async function: every yielded
+ * Promise is awaited and its result (or rejection) is sent back into the
+ * generator. Arrays, plain objects and Maps of Promises can be yielded too:
+ * their entries are awaited concurrently and the generator resumes with the
+ * same shape, or with a `ParallelError` naming the first entry that rejected.
+ * Effects created with `call`, `delay`, `fork`, `join`, `retry`,
+ * `progress`, `select` and `use`, the operations of channels and
+ * semaphores, and the `cps`, `thunk`, `thenable` and `once` adapters, are
+ * run by the task.
+ * Yielding anything else (other than nothing) throws.
+ *
+ * Pass `{ signal }` to cancel the task with an AbortSignal, or call `cancel()`
+ * on the returned promise. Cancelling calls `return()` on the generator at its
+ * current `yield` so that `finally` blocks run (and may still yield), then
+ * rejects the promise with an `AbortError`.
+ *
+ * `stepTimeout` limits how many milliseconds a single `yield` may wait: past
+ * it, a `TimeoutError` is thrown into the generator at that `yield`, where it
+ * can be caught. `timeout` limits the task as a whole: past it, the task is
+ * stopped like a cancelled one, and rejects with a `TimeoutError`.
+ *
+ * `pause()` on the returned promise holds the generator at its next `yield`:
+ * it is not resumed, even once what it yielded settles, until `resume()` is
+ * called, or `maxPause` milliseconds have passed if that option is set.
+ *
+ * `name` labels the task in debug stacks, and defaults to the name of `f`.
+ *
+ * `context` sets values for `asynk.context.get()` to read from the task and
+ * the tasks started from it, over those of the task it was started from.
+ *
+ * `scheduler` decides when the generator is resumed and provides the timers
+ * for delays and timeouts. Tasks started from inside another task use its
+ * scheduler unless given one. A `VirtualScheduler` makes tests deterministic.
+ */
+export function asynk(f, options) {
+	const task = new Task(f, options);
+	task.start();
+	return task.promise;
+}
+
+/**
+ * Values that follow a task through its `yield`s and into the tasks started
+ * from it, such as a trace id or the current user.
+ */
+asynk.context = {
+	/**
+	 * Runs `f` with `asynk`, with the values of `context` over those of the
+	 * current task, for `get()` to read from `f` and the tasks it starts.
+	 */
+	run: (context, f, options) => asynk(f, { ...options, context }),
+
+	/**
+	 * Returns the value of `key` in the context of the task whose generator is
+	 * running, or the whole frozen context object without a `key`. Only the
+	 * generator body, and what it calls synchronously, runs inside the task:
+	 * a callback run later by something else does not.
+	 */
+	get: (key) => {
+		const context = runningTask?.context ?? emptyContext;
+		return key === undefined ? context : context[key];
+	},
+};
+
+/**
+ * Runs `f` like `asynk`, as a workflow that survives restarts. How each
+ * `yield` is resumed is appended to the journal `id` of `store` (a
+ * `FileStore`, a `MemoryStore`, or any object with the same `load(id)` and
+ * `append(id, entry)` methods). When the journal already has entries, such as
+ * after a restart, the generator is fast-forwarded through them without
+ * running what it yields, then goes on live. A generator that does not yield
+ * the same thing as recorded rejects with a `NonDeterminismError`.
+ *
+ * Side effects belong in effects such as `call`, which are not run again
+ * while replaying, and what the yields resume with must survive being turned
+ * to JSON. Errors come back as Errors with the same name and message.
+ */
+asynk.durable = (id, f, { store, ...options }) => {
+	const task = new Task(f, options);
+	Promise.resolve()
+		.then(() => store.load(id))
+		.then(
+			(entries) => {
+				// Unless it was cancelled while its journal was loading.
+				if (task.settled) {
+					return;
+				}
+				task.journal = new Journal(id, store, entries);
+				try {
+					task.start();
+				} catch (err) {
+					task.fail(err);
+				}
+			},
+			(err) => {
+				if (!task.settled) {
+					task.fail(err);
+				}
+			},
+		);
+	return task.promise;
+};
+
+/**
+ * Runs `f` like `asynk`, but returns a handle to follow the task while it
+ * runs rather than just its `promise`: its `state`, the `steps` it has taken,
+ * what it is `awaiting`, its `elapsed` time, and its `result` or `error` once
+ * settled. The generator can report how far along it is by yielding
+ * `progress(value)`, which is passed to the `onProgress` listeners. The
+ * `onPauseChange` listeners are told whenever it is paused or resumed.
+ */
+asynk.task = (f, options) => {
+	const task = new Task(f, options);
+	const handle = new TaskHandle(task);
+	task.start();
+	return handle;
+};
+
+/**
+ * Creates a pool running the generator functions given to its `run(f,
+ * options)` as asynk tasks, at most `concurrency` at a time (1 by default).
+ * The others wait in a queue, highest `priority` option first, without
+ * their generator starting until they get a slot. `onIdle()` resolves once
+ * nothing is running or queued, and `stats` counts the tasks in each state.
+ */
+asynk.pool = (options) =>
+	new Pool(options, (f, taskOptions) => new Task(f, taskOptions));
+
+/**
+ * Runs `body(spawn)` as an asynk task that can be yielded, and that does not
+ * settle before every task started with `spawn(f, options)` has settled.
+ * `spawn` starts `f` with `asynk` and returns its promise.
+ *
+ * With the default "fail-fast" `strategy`, the first task to fail, `body`
+ * included, gets every other task cancelled, and the scope rejects with its
+ * error. When other tasks failed too, such as while being cancelled, that
+ * error carries a `ScopeError` holding them all as its `scopeError`
+ * property. With the "continue" strategy, the other tasks carry on, and the
+ * scope rejects with the first error once they are done. Either way a
+ * failed task counts even if `body` caught its rejection. With `restarts`, a
+ * failed task is started again up to that many times before its failure
+ * counts; `spawn` takes a `restarts` option too. Cancelling the scope
+ * cancels every task in it, and waits for them to settle.
+ */
+asynk.scope = (body, { strategy, restarts, ...options } = {}) =>
+	asynk(() => scope(body, new Supervisor({ strategy, restarts }, asynk)), {
+		name: body.name,
+		...options,
+	});
+
+/**
+ * Runs `body(item, index)` for each item of the async (or sync) iterable
+ * `iterable`, one after the other, the way a `for await` loop would, as an
+ * asynk task that can be yielded. `body` can be a generator function, whose
+ * yields are awaited as part of the loop, or return a Promise. It can
+ * return `BREAK` to stop the loop early. The source iterator is closed when
+ * the loop stops early, whether it breaks, the body throws or the task is
+ * cancelled.
+ */
+asynk.forEach = (iterable, body, options) =>
+	asynk(() => forEach(iterable, body), { name: "forEach", ...options });
+
+/**
+ * Returns an async iterable of the values the generator emits with `yield
+ * emit(value)`, where `emit` is its first argument. The generator runs as an
+ * asynk task once the iterable is first read from, and can yield Promises
+ * and effects as usual. It only runs ahead of its consumers by up to the
+ * `buffer` option values (0 by default): past that, `yield emit(value)`
+ * waits until a consumer asks for the next value. An error the generator
+ * throws is thrown to the consumer after the values emitted before it, and a
+ * consumer that stops early cancels the generator.
+ */
+asynk.stream = (generatorFunction, options) =>
+	new Stream(generatorFunction, options, asynk);
+
+/**
+ * Wraps a generator function into a reusable function that runs it with
+ * `asynk`, the way an `async function` declaration would. Call arguments and
+ * `this` are forwarded to the generator, and the wrapper keeps its `name` and
+ * `length`, so it can be used as a method too.
+ */
+asynk.fn = (generatorFunction, options) => {
+	const wrapped = function (...args) {
+		return asynk(() => generatorFunction.apply(this, args), {
+			name: generatorFunction.name,
+			...options,
+		});
+	};
+	Object.defineProperties(wrapped, {
+		name: { value: generatorFunction.name, configurable: true },
+		length: { value: generatorFunction.length, configurable: true },
+	});
+	return wrapped;
+};
+
+const falsyRejection = (reason) => {
+	const err = new Error("The asynk task rejected with a falsy value");
+	err.reason = reason;
+	return err;
+};
+
+/**
+ * Wraps a generator function like `asynk.fn`, with the calls that have the
+ * same `key(...args)` (the first argument by default) sharing a run: calls
+ * made while it is running wait for it, and those made after it succeeded
+ * get its value, until `ttl` milliseconds have passed since. Past `maxSize`
+ * keys, the least recently used is forgotten. Failed runs are forgotten
+ * right away, unless `cacheRejections` is true. Other options are passed to
+ * `asynk`.
+ *
+ * Each call returns a promise of its own, whose `cancel()` only stops that
+ * caller from waiting, not the shared run. `invalidate(...args)` forgets
+ * the run for the key of `args`, `invalidateIf(predicate)` the settled runs
+ * for which `predicate(key, value, error)` is true, and `clear()` them all.
+ */
+asynk.memo = (
+	generatorFunction,
+	{ key = (x) => x, ttl, maxSize, cacheRejections = false, ...options } = {},
+) => {
+	const run = asynk.fn(generatorFunction, options);
+	const clock = options.scheduler ?? realScheduler;
+	const cache = new MemoCache({ ttl, maxSize }, () => clock.now());
+	const memoized = function (...args) {
+		const k = key(...args);
+		let entry = cache.get(k);
+		if (entry === undefined) {
+			// What every caller waits on, which none of them can cancel.
+			const shared = run.apply(this, args).then((x) => x);
+			const added = cache.add(k, shared);
+			shared.then(
+				(value) => cache.keep(added, value),
+				(err) => {
+					if (cacheRejections) {
+						cache.keep(added, undefined, err);
+					} else {
+						cache.remove(k, added);
+					}
+				},
+			);
+			entry = added;
+		}
+		const { promise } = entry;
+		return asynk(
+			function* () {
+				return yield promise;
+			},
+			{ name: generatorFunction.name, scheduler: options.scheduler },
+		);
+	};
+	Object.defineProperties(memoized, {
+		name: { value: generatorFunction.name, configurable: true },
+		length: { value: generatorFunction.length, configurable: true },
+		size: { get: () => cache.size },
+	});
+	memoized.invalidate = (...args) => cache.delete(key(...args));
+	memoized.invalidateIf = (predicate) => cache.deleteIf(predicate);
+	memoized.clear = () => cache.clear();
+	return memoized;
+};
+
+/**
+ * Wraps a generator function into a function taking a Node-style callback
+ * as its last argument, for code that expects one: it runs the generator
+ * with `asynk` on the other arguments, then calls `callback(null, value)`
+ * or `callback(err)`. A falsy rejection reason is passed as an Error with
+ * the reason in `reason`.
+ */
+asynk.callbackify = (generatorFunction, options) => {
+	const run = asynk.fn(generatorFunction, options);
+	const callbackified = function (...args) {
+		const callback = args.pop();
+		if (typeof callback !== "function") {
+			throw new TypeError("The last argument must be a callback function");
+		}
+		// Called outside of the promise chain, so that whatever the callback
+		// throws is not turned into a rejection.
+		run.apply(this, args).then(
+			(value) => queueMicrotask(() => callback(null, value)),
+			(err) => queueMicrotask(() => callback(err || falsyRejection(err))),
+		);
+	};
+	Object.defineProperties(callbackified, {
+		name: { value: generatorFunction.name, configurable: true },
+		length: { value: generatorFunction.length + 1, configurable: true },
+	});
+	return callbackified;
+};
+
+/**
+ * Turns debug mode on (or off with `false`). In debug mode every task records
+ * where it was started and where it is suspended, and an error a task rejects
+ * with gets an `at async` line added to its stack for that task. As the error
+ * travels up through the tasks waiting on each other, its stack ends up
+ * listing the whole chain of suspended generators. Only worth its cost while
+ * debugging, as it captures a stack trace for every task and effect.
+ */
+asynk.debug = (enabled = true) => {
+	debugging = enabled;
+	recordEffectSites(enabled);
+};
+
+/**
+ * Turns fidelity mode on (or off with `false`). Generators already resume on
+ * the same microtask as an async function would after the same `await`s, and
+ * their promises settle on the same microtask too. What differs is native
+ * code awaiting an asynk promise: `await` only takes its fast path for
+ * Promises whose `constructor` is `Promise`, and otherwise takes two more
+ * microtasks to get to the promise through its `then` method. In fidelity
+ * mode, the promises of the tasks started claim `Promise` as their
+ * constructor, so that interleavings of asynk tasks and async functions are
+ * exactly those of async functions alone. As `await` then no longer calls
+ * their `then`, asynk cannot tell whether a rejection was handled: it leaves
+ * reporting unhandled rejections of these tasks to the host, as for any
+ * other Promise. Cancelled tasks are still never reported. Tasks started
+ * before the mode changed keep the mode they were started in.
+ */
+asynk.fidelity = (enabled = true) => {
+	fidelity = enabled;
+};
+
+/**
+ * Registers hooks that are called as every asynk task runs, and returns a
+ * function that unregisters them. Each hook receives an event with the task
+ * `id`, its `name`, the `parentId` of the task it was started from, the
+ * `step` (number of yields so far) and the `time` (from the task's scheduler,
+ * `performance.now()` by default):
+ *
+ *   - `onStart` when the task starts running its generator.
+ *   - `onYield` when the generator yields, with the yielded `value`.
+ *   - `onResume` when the generator is resumed, with how long it was
+ *     `suspended` and the generator `method` it is resumed with.
+ *   - `onSettle` when the task settles, with its `duration`, its `state`
+ *     ("fulfilled", "rejected" or "cancelled") and its `value` or `error`.
+ */
+asynk.instrument = (hooks) => {
+	const instrument = { ...hooks };
+	instruments.add(instrument);
+	return () => {
+		instruments.delete(instrument);
+	};
+};
+
+/**
+ * Starts recording every asynk task as a Chrome trace, with one track per
+ * task made of its running and suspended intervals. Call `stop()` on the
+ * returned recorder when done, then `toJSON()` gives the trace-event object
+ * and `save(path)` writes it to a file that can be opened in Chrome's
+ * `about:tracing` or in Perfetto.
+ */
+asynk.record = () => {
+	const recorder = new TraceRecorder();
+	recorder.stop = asynk.instrument(recorder.hooks);
+	return recorder;
+};
+
+/**
+ * Sets what happens when an asynk task rejects and nothing handled its
+ * promise by the next macrotask, and returns a function putting back the
+ * previous handler. Cancelled tasks are never reported. The report is an
+ * `UnhandledRejectionError` naming the generator, with the yield `step` it
+ * failed at and the original error as `cause`. `handler` is one of:
+ *
+ *   - "throw" (the default) to throw the report as an uncaught exception.
+ *   - "log" to log the report with `console.error`.
+ *   - "collect" to keep the report for `asynk.unhandledRejections()`.
+ *   - A function, called with the report.
+ *
+ * Errors thrown by the hooks of `asynk.instrument`, and by the listeners of
+ * `asynk.task` handles, are handled the same way, as they are.
+ */
+asynk.onUnhandledRejection = (handler) => setRejectionHandler(handler);
+
+/**
+ * Returns the reports kept by the "collect" handler, and forgets them.
+ */
+asynk.unhandledRejections = () => takeCollected();
+
+/**
+ * For tests, typically in `afterEach`: throws if any asynk task rejected
+ * without being handled since the last call, including tasks still within
+ * the grace period before they get reported.
+ */
+asynk.expectNoUnhandledRejections = () => checkRejections();
@@ -1,5 +1,16 @@
-import { describe, it, expect } from "vitest";
-import { asynk } from "./main.js";
+import { describe, it, expect, afterEach } from "vitest";
+import {
+	AbortError,
+	ParallelError,
+	TimeoutError,
+	VirtualScheduler,
+	asynk,
+	call,
+	delay,
+	fork,
+	join,
+	progress,
+} from "./main.js";
 
 const unfold = (fn, seed) => {
 	const result = [];
@@ -16,6 +27,13 @@ const getNumberBetween = (min, max) =>
 const timeout = (x, resolve = true) =>
 	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
 
+// Like `expect(f).not.toThrow()`, but also observes the returned Promise so
+// that a rejection the test does not care about is not reported as unhandled.
+const expectNotToThrowInPlace = (f) =>
+	expect(() => {
+		Promise.resolve(f()).catch(() => {});
+	}).not.toThrow();
+
 const chars = unfold(
 	(n) => (n < 123 ? [n === 90 ? 97 : n, n + 1] : false),
 	65,
@@ -181,7 +199,7 @@ describe("Errors and Rejections", () => {
 				asynk(function* () {
 					throw err;
 				});
-			expect(result).not.toThrow();
+			expectNotToThrowInPlace(result);
 		});
 	});
 
@@ -204,7 +222,7 @@ describe("Errors and Rejections", () => {
 					const a = yield timeout(str);
 					return a;
 				});
-			expect(result).not.toThrow();
+			expectNotToThrowInPlace(result);
 		});
 	});
 
@@ -224,7 +242,7 @@ describe("Errors and Rejections", () => {
 					expect(c).not.toBeDefined();
 					return `${a} ${b + c}`;
 				});
-			expect(result).not.toThrow();
+			expectNotToThrowInPlace(result);
 			await expect(result(str1, str2, str3)).rejects.toBe(expected);
 		});
 	});
@@ -248,7 +266,7 @@ describe("Errors and Rejections", () => {
 						return expected;
 					}
 				});
-			expect(result).not.toThrow();
+			expectNotToThrowInPlace(result);
 			await expect(result(inputA, inputB, op)).resolves.toBe(expected);
 			await expect(result(inputA, inputB, op)).resolves.not.toBe(unexpected);
 		});
@@ -271,7 +289,7 @@ describe("Errors and Rejections", () => {
 						return err;
 					}
 				});
-			expect(result).not.toThrow();
+			expectNotToThrowInPlace(result);
 			await expect(result(expected, inputB, op)).resolves.toBe(expected);
 		});
 	});
@@ -293,7 +311,7 @@ describe("Errors and Rejections", () => {
 						throw err;
 					}
 				});
-			expect(result).not.toThrow();
+			expectNotToThrowInPlace(result);
 			await expect(result(expected, inputB, op)).rejects.toBe(expected);
 		});
 	});
@@ -461,6 +479,30 @@ describe("Real use case simulation", () => {
 			}
 		});
 	});
+	it("Should fetch colleagues in parallel by yielding an array", async () => {
+		const randomLimit = getNumberBetween(10, 40);
+		await loop(randomLimit)(async () => {
+			const getUserById = (id) =>
+				new Promise((res, rej) =>
+					setTimeout(users[id] ? res : rej, 0, users[id]),
+				);
+
+			const userID = getNumberBetween(0, users.length - 1);
+			const expected =
+				users[userID].experience +
+				users[userID].colleagues.map((id) => users[id].experience).reduce(add);
+
+			const result = asynk(function* () {
+				const user = yield getUserById(userID);
+				const colleagues = yield user.colleagues.map(getUserById);
+				return colleagues.reduce(
+					(acc, x) => acc + x.experience,
+					user.experience,
+				);
+			});
+			await expect(result).resolves.toBe(expected);
+		});
+	});
 });
 
 describe("Direct comparisons to async functions", () => {
@@ -574,9 +616,999 @@ describe("Direct comparisons to async functions", () => {
 		const n = getNumberBetween(2, 100);
 		const errorStr = getRandomString();
 
-		expect(() => makeReturningAsync(n, errorStr)).not.toThrow();
+		expectNotToThrowInPlace(() => makeReturningAsync(n, errorStr));
 
 		await expect(makeReturningAsynk(n, errorStr)).rejects.toBe(errorStr);
 		await expect(makeReturningAsync(n, errorStr)).rejects.toBe(errorStr);
 	});
 });
+
+describe("Cancellation", () => {
+	it("Should reject with an AbortError when the signal aborts", async () => {
+		const controller = new AbortController();
+		const reason = getRandomString();
+		const result = asynk(
+			function* () {
+				yield timeout(1);
+				yield new Promise(() => {});
+			},
+			{ signal: controller.signal },
+		);
+		await timeout();
+		controller.abort(reason);
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		await expect(result).rejects.toHaveProperty("cause", reason);
+	});
+
+	it("Should not start the generator body if the signal is already aborted", async () => {
+		const controller = new AbortController();
+		controller.abort();
+		let started = false;
+		const result = asynk(
+			function* () {
+				started = true;
+				yield timeout(1);
+			},
+			{ signal: controller.signal },
+		);
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		expect(started).toBe(false);
+	});
+
+	it("Should run finally blocks, including their yields, when cancelled", async () => {
+		const log = [];
+		const result = asynk(function* () {
+			try {
+				yield new Promise(() => {});
+				log.push("unreachable");
+			} finally {
+				log.push("finally");
+				log.push(yield timeout("cleaned"));
+			}
+		});
+		await timeout();
+		result.cancel();
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		expect(log).toEqual(["finally", "cleaned"]);
+	});
+
+	it("Should not resume the generator once the awaited Promise settles", async () => {
+		const log = [];
+		const result = asynk(function* () {
+			log.push(yield timeout("first"));
+			log.push(yield timeout("second"));
+		});
+		await timeout();
+		result.cancel();
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		await timeout();
+		expect(log).toEqual(["first"]);
+	});
+
+	it("Should defer a cancel issued from the generator body to its next yield", async () => {
+		const controller = new AbortController();
+		let reachedYield = false;
+		const result = asynk(
+			function* () {
+				controller.abort();
+				reachedYield = true;
+				yield timeout(1);
+			},
+			{ signal: controller.signal },
+		);
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		expect(reachedYield).toBe(true);
+	});
+
+	it("Should cancel the asynk task it is waiting on", async () => {
+		let innerCleanedUp = false;
+		const result = asynk(function* () {
+			yield asynk(function* () {
+				try {
+					yield new Promise(() => {});
+				} finally {
+					innerCleanedUp = true;
+				}
+			});
+		});
+		await timeout();
+		result.cancel();
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		expect(innerCleanedUp).toBe(true);
+	});
+
+	it("Should do nothing when cancelling a settled task", async () => {
+		const expected = getNumberBetween(2, 100);
+		const result = asynk(function* () {
+			return expected;
+		});
+		await expect(result).resolves.toBe(expected);
+		result.cancel();
+		await expect(result).resolves.toBe(expected);
+	});
+});
+
+describe("asynk.fn", () => {
+	it("Should forward its arguments to the generator", async () => {
+		const op = getRandomOp();
+		const inputA = getNumberBetween(2, 100);
+		const inputB = getNumberBetween(2, 100);
+		const doOp = asynk.fn(function* (a, b) {
+			const n = yield Promise.resolve(a);
+			const n2 = yield timeout(b);
+			return op(n, n2);
+		});
+		const result = doOp(inputA, inputB);
+		expect(result).toBeInstanceOf(Promise);
+		await expect(result).resolves.toBe(op(inputA, inputB));
+	});
+
+	it("Should be reusable", async () => {
+		const double = asynk.fn(function* (n) {
+			return (yield Promise.resolve(n)) * 2;
+		});
+		await expect(Promise.all([double(1), double(2), double(3)])).resolves.toEqual(
+			[2, 4, 6],
+		);
+	});
+
+	it("Should keep the name and length of the generator function", () => {
+		const doOp = asynk.fn(function* doOpGen(op, a, b) {
+			return op(a, b);
+		});
+		expect(doOp.name).toBe("doOpGen");
+		expect(doOp.length).toBe(3);
+	});
+
+	it("Should forward `this` when used as an object method", async () => {
+		const counter = {
+			count: getNumberBetween(2, 100),
+			increment: asynk.fn(function* (by) {
+				this.count += yield Promise.resolve(by);
+				return this.count;
+			}),
+		};
+		const expected = counter.count + 5;
+		await expect(counter.increment(5)).resolves.toBe(expected);
+		expect(counter.count).toBe(expected);
+	});
+
+	it("Should forward `this` when used as a class method", async () => {
+		class Users {
+			constructor(users) {
+				this.users = users;
+			}
+		}
+		Users.prototype.getName = asynk.fn(function* (id) {
+			const user = yield timeout(this.users[id]);
+			return user.name;
+		});
+		const users = new Users([{ name: "David" }, { name: "Ted" }]);
+		await expect(users.getName(1)).resolves.toBe("Ted");
+	});
+
+	it("Should reject, not throw, when the generator throws", async () => {
+		const err = new Error(getRandomString());
+		const fail = asynk.fn(function* () {
+			throw err;
+		});
+		expectNotToThrowInPlace(fail);
+		await expect(fail()).rejects.toBe(err);
+	});
+});
+
+describe("Parallel yields", () => {
+	it("Should resolve a yielded array of Promises in order", async () => {
+		const inputs = [...Array(getNumberBetween(2, 10))].map(() =>
+			getNumberBetween(2, 100),
+		);
+		const result = asynk(function* () {
+			return yield inputs.map((x) => timeout(x));
+		});
+		await expect(result).resolves.toEqual(inputs);
+	});
+
+	it("Should resolve a yielded object of Promises with the same keys", async () => {
+		const name = getRandomString();
+		const age = getNumberBetween(25, 50);
+		const result = asynk(function* () {
+			const { user, posts } = yield {
+				user: timeout({ name, age }),
+				posts: Promise.resolve([]),
+			};
+			return `${user.name} ${user.age} ${posts.length}`;
+		});
+		await expect(result).resolves.toBe(`${name} ${age} 0`);
+	});
+
+	it("Should resolve a yielded Map of Promises with the same keys", async () => {
+		const key = {};
+		const result = asynk(function* () {
+			return yield new Map([
+				[key, timeout(1)],
+				["b", Promise.resolve(2)],
+			]);
+		});
+		await expect(result).resolves.toEqual(
+			new Map([
+				[key, 1],
+				["b", 2],
+			]),
+		);
+	});
+
+	it("Should resolve nested arrays and objects", async () => {
+		const result = asynk(function* () {
+			return yield { a: [timeout(1), { b: Promise.resolve(2) }], c: [] };
+		});
+		await expect(result).resolves.toEqual({ a: [1, { b: 2 }], c: [] });
+	});
+
+	it("Should wait on all entries concurrently", async () => {
+		const log = [];
+		const track = (x, ms) =>
+			new Promise((res) => {
+				log.push(`start ${x}`);
+				setTimeout(() => {
+					log.push(`end ${x}`);
+					res(x);
+				}, ms);
+			});
+		const result = asynk(function* () {
+			return yield [track("a", 10), track("b", 0)];
+		});
+		await expect(result).resolves.toEqual(["a", "b"]);
+		expect(log).toEqual(["start a", "start b", "end b", "end a"]);
+	});
+
+	it("Should reject with a ParallelError naming the key that failed", async () => {
+		const errStr = getRandomString();
+		const result = asynk(function* () {
+			yield { user: timeout(1), posts: timeout(errStr, false) };
+		});
+		await expect(result).rejects.toBeInstanceOf(ParallelError);
+		await expect(result).rejects.toMatchObject({
+			key: "posts",
+			path: ["posts"],
+			cause: errStr,
+		});
+	});
+
+	it("Should give the full path of a failing nested entry", async () => {
+		const errStr = getRandomString();
+		const result = asynk(function* () {
+			try {
+				yield { users: [timeout(1), timeout(errStr, false)] };
+			} catch (err) {
+				return err;
+			}
+		});
+		const err = await result;
+		expect(err.key).toBe("users");
+		expect(err.path).toEqual(["users", 1]);
+		expect(err.cause.cause).toBe(errStr);
+	});
+
+	it("Should throw in place if an entry is not a Promise", () => {
+		const result = () =>
+			asynk(function* () {
+				yield [Promise.resolve(1), 2];
+			});
+		expect(result).toThrow(TypeError);
+	});
+
+	it("Should cancel asynk tasks inside a yielded collection", async () => {
+		let cleanedUp = 0;
+		const child = () =>
+			asynk(function* () {
+				try {
+					yield new Promise(() => {});
+				} finally {
+					cleanedUp += 1;
+				}
+			});
+		const result = asynk(function* () {
+			yield { a: child(), b: [child()] };
+		});
+		await timeout();
+		result.cancel();
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		expect(cleanedUp).toBe(2);
+	});
+});
+
+describe("Timeouts", () => {
+	const never = () => new Promise(() => {});
+
+	it("Should throw a TimeoutError into the generator at a stuck yield", async () => {
+		const expected = getRandomString();
+		const result = asynk(
+			function* () {
+				yield timeout(1);
+				try {
+					yield never();
+				} catch (err) {
+					expect(err).toBeInstanceOf(TimeoutError);
+					return yield timeout(expected);
+				}
+			},
+			{ stepTimeout: 20 },
+		);
+		await expect(result).resolves.toBe(expected);
+	});
+
+	it("Should reject with the TimeoutError if the generator does not catch it", async () => {
+		const result = asynk(
+			function* () {
+				yield never();
+			},
+			{ stepTimeout: 10 },
+		);
+		await expect(result).rejects.toBeInstanceOf(TimeoutError);
+	});
+
+	it("Should only time out single yields, not the whole task", async () => {
+		const result = asynk(
+			function* () {
+				let sum = 0;
+				for (let i = 0; i < 5; i += 1) {
+					sum += yield new Promise((res) => setTimeout(res, 10, i));
+				}
+				return sum;
+			},
+			{ stepTimeout: 30 },
+		);
+		await expect(result).resolves.toBe(10);
+	});
+
+	it("Should reject with a TimeoutError once the task deadline passes", async () => {
+		const log = [];
+		const result = asynk(
+			function* () {
+				try {
+					while (true) {
+						yield timeout();
+						log.push("step");
+					}
+				} catch (err) {
+					log.push("caught");
+				} finally {
+					log.push("finally");
+				}
+			},
+			{ timeout: 20 },
+		);
+		await expect(result).rejects.toBeInstanceOf(TimeoutError);
+		expect(log).not.toContain("caught");
+		expect(log.at(-1)).toBe("finally");
+	});
+
+	it("Should reject at the deadline while finally blocks are still waiting", async () => {
+		const err = new Error("ERROR");
+		let finish;
+		const result = asynk(
+			function* () {
+				try {
+					yield never();
+				} finally {
+					yield new Promise((res) => {
+						finish = res;
+					});
+					// biome-ignore lint/correctness/noUnsafeFinally: on purpose
+					throw err;
+				}
+			},
+			{ timeout: 20 },
+		);
+		await expect(result).rejects.toBeInstanceOf(TimeoutError);
+		asynk.onUnhandledRejection("collect");
+		try {
+			finish();
+			await timeout();
+			expect(asynk.unhandledRejections()).toEqual([err]);
+		} finally {
+			asynk.onUnhandledRejection("throw");
+		}
+	});
+
+	it("Should not reject once the task settled before its deadline", async () => {
+		const expected = getNumberBetween(2, 100);
+		const result = asynk(
+			function* () {
+				return yield timeout(expected);
+			},
+			{ timeout: 10 },
+		);
+		await expect(result).resolves.toBe(expected);
+		await new Promise((res) => setTimeout(res, 20));
+		await expect(result).resolves.toBe(expected);
+	});
+
+	it("Should cancel a stuck asynk task it is waiting on", async () => {
+		let innerCleanedUp = false;
+		const result = asynk(
+			function* () {
+				try {
+					yield asynk(function* () {
+						try {
+							yield never();
+						} finally {
+							innerCleanedUp = true;
+						}
+					});
+				} catch (err) {
+					return err.name;
+				}
+			},
+			{ stepTimeout: 10 },
+		);
+		await expect(result).resolves.toBe("TimeoutError");
+		expect(innerCleanedUp).toBe(true);
+	});
+});
+
+describe("Debug mode", () => {
+	afterEach(() => asynk.debug(false));
+
+	const asyncFrames = (err) =>
+		err.stack.split("\n").filter((line) => line.includes("at async "));
+
+	it("Should add a line for each task an error travels through", async () => {
+		asynk.debug();
+		const inner = function* inner() {
+			yield timeout(1);
+			yield timeout(new Error("ERROR"), false);
+		};
+		const middle = function* middle() {
+			return yield asynk(inner);
+		};
+		const result = asynk(function* outer() {
+			return yield asynk(middle);
+		});
+		const err = await result.catch((e) => e);
+		const frames = asyncFrames(err);
+		expect(frames).toHaveLength(3);
+		expect(frames[0]).toMatch(
+			/at async inner \(yield #2, started at .*main\.test\.js:\d+:\d+\)$/,
+		);
+		expect(frames[1]).toMatch(/at async middle \(.*main\.test\.js:\d+:\d+\)$/);
+		expect(frames[2]).toMatch(/at async outer \(.*main\.test\.js:\d+:\d+\)$/);
+	});
+
+	it("Should point at the yield of an effect", async () => {
+		asynk.debug();
+		const fail = () => Promise.reject(new Error("ERROR"));
+		const result = asynk(function* withEffect() {
+			yield call(fail);
+		});
+		const err = await result.catch((e) => e);
+		expect(asyncFrames(err)).toEqual([
+			expect.stringMatching(
+				/at async withEffect \(.*main\.test\.js:\d+:\d+\)$/,
+			),
+		]);
+	});
+
+	it("Should use the name of asynk.fn generator functions", async () => {
+		asynk.debug();
+		const fail = asynk.fn(function* failing() {
+			throw new Error("ERROR");
+		});
+		const err = await fail().catch((e) => e);
+		expect(asyncFrames(err)[0]).toMatch(/at async failing /);
+	});
+
+	it("Should leave the stack alone when not debugging", async () => {
+		const result = asynk(function* () {
+			yield timeout(new Error("ERROR"), false);
+		});
+		const err = await result.catch((e) => e);
+		expect(asyncFrames(err)).toEqual([]);
+	});
+
+	it("Should leave non-Error rejections alone", async () => {
+		asynk.debug();
+		const errStr = getRandomString();
+		const result = asynk(function* () {
+			yield timeout(errStr, false);
+		});
+		await expect(result).rejects.toBe(errStr);
+	});
+});
+
+describe("Instrumentation", () => {
+	const record = () => {
+		const events = [];
+		const stop = asynk.instrument({
+			onStart: (e) => events.push(["start", e]),
+			onYield: (e) => events.push(["yield", e]),
+			onResume: (e) => events.push(["resume", e]),
+			onSettle: (e) => events.push(["settle", e]),
+		});
+		return { events, stop };
+	};
+
+	it("Should report every step of a task", async () => {
+		const { events, stop } = record();
+		const expected = getNumberBetween(2, 100);
+		const result = asynk(function* instrumented() {
+			const a = yield timeout(expected);
+			return a;
+		});
+		await expect(result).resolves.toBe(expected);
+		stop();
+		expect(events.map(([hook]) => hook)).toEqual([
+			"start",
+			"yield",
+			"resume",
+			"settle",
+		]);
+		const [[, start], [, yielded], [, resumed], [, settled]] = events;
+		expect(start).toMatchObject({ name: "instrumented", step: 0 });
+		expect(yielded).toMatchObject({ id: start.id, step: 1 });
+		expect(yielded.value).toBeInstanceOf(Promise);
+		expect(resumed).toMatchObject({ id: start.id, step: 1, method: "next" });
+		expect(resumed.suspended).toBeGreaterThanOrEqual(0);
+		expect(settled).toMatchObject({
+			id: start.id,
+			state: "fulfilled",
+			value: expected,
+			step: 1,
+		});
+		expect(settled.duration).toBe(settled.time - start.time);
+	});
+
+	it("Should hand errors thrown by hooks to the rejection handler", async () => {
+		const err = new Error("HOOK");
+		const restore = asynk.onUnhandledRejection("collect");
+		const stop = asynk.instrument({
+			onYield: () => {
+				throw err;
+			},
+		});
+		try {
+			const result = asynk(function* () {
+				return yield timeout("a");
+			});
+			await expect(result).resolves.toBe("a");
+			expect(asynk.unhandledRejections()).toEqual([err]);
+		} finally {
+			stop();
+			restore();
+		}
+	});
+
+	it("Should report the parent of nested tasks", async () => {
+		const { events, stop } = record();
+		const result = asynk(function* outer() {
+			return yield asynk(function* inner() {
+				return yield timeout(1);
+			});
+		});
+		await result;
+		stop();
+		const starts = events.filter(([hook]) => hook === "start");
+		const [[, outer], [, inner]] = starts;
+		expect(outer.parentId).toBeUndefined();
+		expect(inner).toMatchObject({ name: "inner", parentId: outer.id });
+	});
+
+	it("Should report rejected and cancelled tasks", async () => {
+		const { events, stop } = record();
+		const errStr = getRandomString();
+		const rejected = asynk(function* () {
+			yield timeout(errStr, false);
+		});
+		const cancelled = asynk(function* () {
+			yield new Promise(() => {});
+		});
+		cancelled.cancel();
+		await Promise.all([
+			expect(rejected).rejects.toBe(errStr),
+			expect(cancelled).rejects.toBeInstanceOf(AbortError),
+		]);
+		stop();
+		const settled = events
+			.filter(([hook]) => hook === "settle")
+			.map(([, e]) => e.state);
+		expect(settled.sort()).toEqual(["cancelled", "rejected"]);
+	});
+
+	it("Should settle a task returning a Promise once that Promise settles", async () => {
+		const { events, stop } = record();
+		const errStr = getRandomString();
+		const result = asynk(function* () {
+			return timeout(errStr, false);
+		});
+		await expect(result).rejects.toBe(errStr);
+		stop();
+		expect(events.at(-1)[1]).toMatchObject({
+			state: "rejected",
+			error: errStr,
+		});
+	});
+
+	it("Should stop reporting once unregistered", async () => {
+		const { events, stop } = record();
+		stop();
+		await asynk(function* () {
+			yield timeout(1);
+		});
+		expect(events).toEqual([]);
+	});
+});
+
+describe("Context", () => {
+	it("Should keep the context of a task across its yields", async () => {
+		const result = asynk.context.run({ traceId: "t1" }, function* () {
+			const before = asynk.context.get("traceId");
+			yield timeout();
+			yield Promise.reject("failure").catch(() => {});
+			return [before, asynk.context.get("traceId")];
+		});
+		await expect(result).resolves.toEqual(["t1", "t1"]);
+	});
+
+	it("Should keep concurrent tasks to their own context", async () => {
+		const worker = function* () {
+			const seen = [];
+			for (let i = 0; i < 3; i += 1) {
+				yield timeout();
+				seen.push(asynk.context.get("user"));
+			}
+			return seen;
+		};
+		const results = Promise.all([
+			asynk.context.run({ user: "David" }, worker),
+			asynk.context.run({ user: "Jenn" }, worker),
+		]);
+		await expect(results).resolves.toEqual([
+			["David", "David", "David"],
+			["Jenn", "Jenn", "Jenn"],
+		]);
+	});
+
+	it("Should pass the context on to child tasks", async () => {
+		const read = function* () {
+			yield timeout();
+			return asynk.context.get("traceId");
+		};
+		const readFn = asynk.fn(read);
+		const result = asynk.context.run({ traceId: "t1" }, function* () {
+			const forked = yield fork(read);
+			return [
+				yield asynk(read),
+				yield call(read),
+				yield call(readFn),
+				yield join(forked),
+			];
+		});
+		await expect(result).resolves.toEqual(["t1", "t1", "t1", "t1"]);
+	});
+
+	it("Should let a child task override the context for itself", async () => {
+		const result = asynk.context.run(
+			{ traceId: "t1", locale: "en" },
+			function* () {
+				const child = yield asynk.context.run({ locale: "fr" }, function* () {
+					yield timeout();
+					return asynk.context.get();
+				});
+				return [child, asynk.context.get()];
+			},
+		);
+		await expect(result).resolves.toEqual([
+			{ traceId: "t1", locale: "fr" },
+			{ traceId: "t1", locale: "en" },
+		]);
+	});
+
+	it("Should take the context as an option", async () => {
+		const result = asynk(
+			function* () {
+				yield timeout();
+				return asynk.context.get("locale");
+			},
+			{ context: { locale: "de" } },
+		);
+		await expect(result).resolves.toBe("de");
+	});
+
+	it("Should have an empty context outside of any task", async () => {
+		expect(asynk.context.get()).toEqual({});
+		expect(asynk.context.get("traceId")).toBeUndefined();
+		const result = asynk.context.run({ traceId: "t1" }, function* () {
+			const later = new Promise((resolve) =>
+				setTimeout(() => resolve(asynk.context.get("traceId")), 0),
+			);
+			return yield later;
+		});
+		await expect(result).resolves.toBeUndefined();
+	});
+});
+
+describe("Task handles", () => {
+	it("Should show the state of the task as it runs", async () => {
+		const scheduler = new VirtualScheduler();
+		const pending = timeout("a");
+		const handle = asynk.task(
+			function* job() {
+				const a = yield pending;
+				yield delay(100);
+				return a;
+			},
+			{ scheduler },
+		);
+		expect(handle).toMatchObject({
+			name: "job",
+			state: "pending",
+			steps: 1,
+			awaiting: pending,
+			elapsed: 0,
+			result: undefined,
+		});
+		await pending;
+		scheduler.flush();
+		expect(handle.steps).toBe(2);
+		expect(handle.awaiting).toEqual(delay(100));
+		scheduler.advance(60);
+		expect(handle.elapsed).toBe(60);
+		await scheduler.run();
+		await expect(handle.promise).resolves.toBe("a");
+		expect(handle).toMatchObject({
+			state: "fulfilled",
+			steps: 2,
+			awaiting: undefined,
+			elapsed: 100,
+			result: "a",
+			error: undefined,
+		});
+		scheduler.advance(50);
+		expect(handle.elapsed).toBe(100);
+	});
+
+	it("Should keep the error of a failed or cancelled task", async () => {
+		const err = new Error("ERROR");
+		const failed = asynk.task(function* () {
+			yield timeout();
+			throw err;
+		});
+		await expect(failed.promise).rejects.toBe(err);
+		expect(failed).toMatchObject({ state: "rejected", error: err });
+
+		const cancelled = asynk.task(function* () {
+			yield new Promise(() => {});
+		});
+		cancelled.cancel("stop");
+		await expect(cancelled.promise).rejects.toBeInstanceOf(AbortError);
+		expect(cancelled.state).toBe("cancelled");
+		expect(cancelled.error.cause).toBe("stop");
+	});
+
+	it("Should pass the progress the generator reports to listeners", async () => {
+		const handle = asynk.task(function* () {
+			for (let i = 1; i <= 3; i += 1) {
+				yield timeout();
+				yield progress({ done: i, total: 3 });
+			}
+			return "done";
+		});
+		const reported = [];
+		const stop = handle.onProgress((value) => {
+			reported.push(value.done);
+			if (value.done === 2) {
+				stop();
+			}
+		});
+		expect(handle.progress).toBeUndefined();
+		await expect(handle.promise).resolves.toBe("done");
+		expect(reported).toEqual([1, 2]);
+		expect(handle.progress).toEqual({ done: 3, total: 3 });
+	});
+
+	it("Should hand errors thrown by listeners to the rejection handler", async () => {
+		const err = new Error("LISTENER");
+		const restore = asynk.onUnhandledRejection("collect");
+		try {
+			const handle = asynk.task(function* () {
+				yield timeout();
+				yield progress(1);
+				return "a";
+			});
+			handle.onProgress(() => {
+				throw err;
+			});
+			handle.onPauseChange(() => {
+				throw err;
+			});
+			handle.pause();
+			handle.resume();
+			await expect(handle.promise).resolves.toBe("a");
+			expect(asynk.unhandledRejections()).toEqual([err, err, err]);
+		} finally {
+			restore();
+		}
+	});
+
+	it("Should resume right after reporting progress", async () => {
+		const result = asynk(function* () {
+			const value = yield progress(50);
+			return value;
+		});
+		await expect(result).resolves.toBeUndefined();
+	});
+});
+
+describe("Pausing", () => {
+	it("Should not resume a paused task until it is resumed", async () => {
+		const log = [];
+		const result = asynk(function* () {
+			log.push(yield timeout("a"));
+			log.push(yield timeout("b"));
+			return log;
+		});
+		result.pause();
+		await timeout();
+		await timeout();
+		expect(log).toEqual([]);
+		result.resume();
+		expect(log).toEqual(["a"]);
+		await expect(result).resolves.toEqual(["a", "b"]);
+	});
+
+	it("Should throw the buffered error once resumed", async () => {
+		const err = new Error("ERROR");
+		const result = asynk(function* () {
+			try {
+				yield timeout(err, false);
+			} catch (e) {
+				return e;
+			}
+		});
+		result.pause();
+		await timeout();
+		result.resume();
+		await expect(result).resolves.toBe(err);
+	});
+
+	it("Should go on as usual when resumed before the yielded value settles", async () => {
+		const result = asynk(function* () {
+			return yield timeout("a");
+		});
+		result.pause();
+		result.resume();
+		await expect(result).resolves.toBe("a");
+	});
+
+	it("Should tell listeners when the task is paused and resumed", async () => {
+		const handle = asynk.task(function* () {
+			return yield timeout("a");
+		});
+		const changes = [];
+		handle.onPauseChange((paused) => changes.push(paused));
+		expect(handle.paused).toBe(false);
+		handle.pause();
+		handle.pause();
+		expect(handle.paused).toBe(true);
+		handle.resume();
+		handle.resume();
+		expect(handle.paused).toBe(false);
+		await expect(handle.promise).resolves.toBe("a");
+		handle.pause();
+		expect(handle.paused).toBe(false);
+		expect(changes).toEqual([true, false]);
+	});
+
+	it("Should tell listeners of the promise asynk returns too", async () => {
+		const result = asynk(function* () {
+			return yield timeout("a");
+		});
+		const changes = [];
+		const stop = result.onPauseChange((paused) => changes.push(paused));
+		expect(result.paused).toBe(false);
+		result.pause();
+		expect(result.paused).toBe(true);
+		result.resume();
+		stop();
+		result.pause();
+		result.resume();
+		await expect(result).resolves.toBe("a");
+		expect(changes).toEqual([true, false]);
+	});
+
+	it("Should resume on its own after maxPause", async () => {
+		const scheduler = new VirtualScheduler();
+		const handle = asynk.task(
+			function* () {
+				yield delay(10);
+				return "done";
+			},
+			{ scheduler, maxPause: 100 },
+		);
+		handle.pause();
+		scheduler.advance(50);
+		await timeout();
+		scheduler.flush();
+		expect(handle.state).toBe("pending");
+		expect(handle.paused).toBe(true);
+		await scheduler.run();
+		expect(handle.paused).toBe(false);
+		await expect(handle.promise).resolves.toBe("done");
+		expect(handle.elapsed).toBe(100);
+	});
+
+	it("Should stop a paused task when cancelled", async () => {
+		const log = [];
+		const handle = asynk.task(function* () {
+			try {
+				yield timeout("a");
+				log.push("resumed");
+			} finally {
+				log.push("finally");
+			}
+		});
+		const changes = [];
+		handle.onPauseChange((paused) => changes.push(paused));
+		handle.pause();
+		await timeout();
+		handle.cancel();
+		await expect(handle.promise).rejects.toBeInstanceOf(AbortError);
+		expect(log).toEqual(["finally"]);
+		expect(changes).toEqual([true, false]);
+	});
+});
+
+describe("Many yields", () => {
+	const count = 100000;
+
+	it("Should handle a huge number of resolved yields", async () => {
+		const result = asynk(function* () {
+			let sum = 0;
+			for (let i = 0; i < count; i += 1) {
+				sum += yield Promise.resolve(1);
+			}
+			return sum;
+		});
+		await expect(result).resolves.toBe(count);
+	});
+
+	it("Should not grow the stack when errors are thrown back in right away", async () => {
+		const result = asynk(function* () {
+			yield Promise.resolve();
+			let caught = 0;
+			for (let i = 0; i < count; i += 1) {
+				try {
+					yield i;
+				} catch (_) {
+					caught += 1;
+				}
+			}
+			return caught;
+		});
+		await expect(result).resolves.toBe(count);
+	});
+
+	it("Should keep calling the same resume callbacks", async () => {
+		const callbacks = new Set();
+		const then = Promise.prototype.then;
+		const result = asynk(function* () {
+			yield Promise.resolve();
+			Promise.prototype.then = function (onFulfilled, onRejected) {
+				// Leaves out the test awaiting the task itself.
+				if (this !== result) {
+					callbacks.add(onFulfilled);
+				}
+				return then.call(this, onFulfilled, onRejected);
+			};
+			try {
+				for (let i = 0; i < 100; i += 1) {
+					yield Promise.resolve(i);
+				}
+			} finally {
+				Promise.prototype.then = then;
+			}
+		});
+		await result;
+		expect(callbacks.size).toBe(1);
+	});
+});
@@ -0,0 +1,102 @@
+/**
+ * The entries of an `asynk.memo` function, by key, from the least to the
+ * most recently used. An entry is `{ promise, settled, value, error,
+ * expires }`, `promise` being the run its callers share. Once settled, an
+ * entry expires `ttl` milliseconds later, as told by `now()`. Past `maxSize`
+ * entries, the least recently used ones are evicted, whether settled or not.
+ */
+export class MemoCache {
+	#entries = new Map();
+	#ttl;
+	#maxSize;
+	#now;
+
+	constructor(
+		{ ttl = Number.POSITIVE_INFINITY, maxSize = Number.POSITIVE_INFINITY },
+		now,
+	) {
+		if (!(maxSize >= 1)) {
+			throw new RangeError(
+				`A memo needs a maxSize of at least 1, but got ${maxSize}`,
+			);
+		}
+		this.#ttl = ttl;
+		this.#maxSize = maxSize;
+		this.#now = now;
+	}
+
+	get size() {
+		return this.#entries.size;
+	}
+
+	// The entry for `key` unless it expired, marked as the most recently used.
+	get(key) {
+		const entry = this.#entries.get(key);
+		if (entry === undefined) {
+			return undefined;
+		}
+		this.#entries.delete(key);
+		if (entry.settled && this.#now() >= entry.expires) {
+			return undefined;
+		}
+		this.#entries.set(key, entry);
+		return entry;
+	}
+
+	// Adds an entry for `key`, still running `promise`.
+	add(key, promise) {
+		const entry = {
+			promise,
+			settled: false,
+			value: undefined,
+			error: undefined,
+			expires: 0,
+		};
+		this.#entries.delete(key);
+		this.#entries.set(key, entry);
+		for (const oldest of this.#entries.keys()) {
+			if (this.#entries.size <= this.#maxSize) {
+				break;
+			}
+			this.#entries.delete(oldest);
+		}
+		return entry;
+	}
+
+	// Keeps `entry` for `ttl` from now, with the `value` or `error` it
+	// settled with.
+	keep(entry, value, error) {
+		entry.settled = true;
+		entry.value = value;
+		entry.error = error;
+		entry.expires = this.#now() + this.#ttl;
+	}
+
+	// Removes `entry` for `key`, unless it was replaced already.
+	remove(key, entry) {
+		if (this.#entries.get(key) === entry) {
+			this.#entries.delete(key);
+		}
+	}
+
+	delete(key) {
+		return this.#entries.delete(key);
+	}
+
+	// Removes the settled entries for which `predicate(key, value, error)` is
+	// true, and returns how many there were.
+	deleteIf(predicate) {
+		let count = 0;
+		for (const [key, entry] of [...this.#entries]) {
+			if (entry.settled && predicate(key, entry.value, entry.error)) {
+				this.#entries.delete(key);
+				count += 1;
+			}
+		}
+		return count;
+	}
+
+	clear() {
+		this.#entries.clear();
+	}
+}
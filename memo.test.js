@@ -0,0 +1,138 @@
+import { describe, expect, it, vi } from "vitest";
+import { AbortError, VirtualScheduler, asynk } from "./main.js";
+
+const timeout = (x, resolve = true) =>
+	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
+
+const users = [
+	{ name: "David", experience: 10 },
+	{ name: "Ted", experience: 3 },
+	{ name: "Jenn", experience: 7 },
+];
+
+// A getUserById generator, and how many times each id was looked up.
+const lookups = () => {
+	const calls = vi.fn();
+	function* getUserById(id) {
+		calls(id);
+		const user = yield timeout(users[id]);
+		if (!user) {
+			throw new Error(`No user ${id}`);
+		}
+		return user;
+	}
+	return { calls, getUserById };
+};
+
+describe("Memoized functions", () => {
+	it("Should share one run between concurrent calls with the same key", async () => {
+		const { calls, getUserById } = lookups();
+		const get = asynk.memo(getUserById);
+		const results = asynk(function* () {
+			return yield [get(0), get(1), get(0)];
+		});
+		await expect(results).resolves.toEqual([users[0], users[1], users[0]]);
+		expect(calls.mock.calls).toEqual([[0], [1]]);
+		expect(get.name).toBe("getUserById");
+		expect(get.size).toBe(2);
+	});
+
+	it("Should return asynk promises that each caller can cancel", async () => {
+		const { calls, getUserById } = lookups();
+		const get = asynk.memo(getUserById);
+		const first = get(0);
+		const second = get(0);
+		expect(first).not.toBe(second);
+		first.cancel();
+		await expect(first).rejects.toBeInstanceOf(AbortError);
+		await expect(second).resolves.toBe(users[0]);
+		expect(calls).toHaveBeenCalledOnce();
+	});
+
+	it("Should keep results until their ttl has passed", async () => {
+		const scheduler = new VirtualScheduler();
+		const { calls, getUserById } = lookups();
+		const get = asynk.memo(getUserById, { ttl: 1000, scheduler });
+		const call = async () => {
+			const result = get(2);
+			await scheduler.run();
+			return result;
+		};
+		await expect(call()).resolves.toBe(users[2]);
+		scheduler.advance(999);
+		await expect(call()).resolves.toBe(users[2]);
+		expect(calls).toHaveBeenCalledOnce();
+		scheduler.advance(1);
+		await expect(call()).resolves.toBe(users[2]);
+		expect(calls).toHaveBeenCalledTimes(2);
+	});
+
+	it("Should forget the least recently used keys past maxSize", async () => {
+		const { calls, getUserById } = lookups();
+		const get = asynk.memo(getUserById, { maxSize: 2 });
+		for (const id of [0, 1, 0, 2, 1, 0]) {
+			await get(id);
+		}
+		expect(calls.mock.calls).toEqual([[0], [1], [2], [1], [0]]);
+		expect(get.size).toBe(2);
+		expect(() => asynk.memo(getUserById, { maxSize: 0 })).toThrow(RangeError);
+	});
+
+	it("Should not keep rejections unless asked to", async () => {
+		const { calls, getUserById } = lookups();
+		const get = asynk.memo(getUserById);
+		await expect(get(5)).rejects.toThrow("No user 5");
+		await expect(get(5)).rejects.toThrow("No user 5");
+		expect(calls).toHaveBeenCalledTimes(2);
+		const getKeepingRejections = asynk.memo(getUserById, {
+			cacheRejections: true,
+		});
+		const err = await getKeepingRejections(5).catch((x) => x);
+		await expect(getKeepingRejections(5)).rejects.toBe(err);
+		expect(calls).toHaveBeenCalledTimes(3);
+	});
+
+	it("Should forget results when invalidated", async () => {
+		const { calls, getUserById } = lookups();
+		const get = asynk.memo(getUserById, { cacheRejections: true });
+		await Promise.all([get(0), get(1), get(2), get(5).catch(() => {})]);
+		expect(get.invalidate(0)).toBe(true);
+		expect(
+			get.invalidateIf(
+				(id, user, err) => err !== undefined || user.experience < 5,
+			),
+		).toBe(2);
+		expect(get.size).toBe(1);
+		await Promise.all([get(0), get(1), get(2)]);
+		expect(calls.mock.calls.map(([id]) => id)).toEqual([0, 1, 2, 5, 0, 1]);
+		get.clear();
+		expect(get.size).toBe(0);
+	});
+
+	it("Should not keep a run invalidated while running", async () => {
+		const { calls, getUserById } = lookups();
+		const get = asynk.memo(getUserById);
+		const first = get(0);
+		get.invalidate(0);
+		await first;
+		expect(get.size).toBe(0);
+		await get(0);
+		expect(calls).toHaveBeenCalledTimes(2);
+	});
+
+	it("Should use the key function on the arguments", async () => {
+		const calls = vi.fn();
+		const greet = asynk.memo(
+			function* (user, greeting) {
+				calls();
+				yield timeout();
+				return `${greeting} ${user.name}`;
+			},
+			{ key: (user, greeting) => `${user.name}:${greeting}` },
+		);
+		await expect(greet({ name: "Ted" }, "Hi")).resolves.toBe("Hi Ted");
+		await expect(greet({ name: "Ted" }, "Hi")).resolves.toBe("Hi Ted");
+		await expect(greet({ name: "Ted" }, "Hello")).resolves.toBe("Hello Ted");
+		expect(calls).toHaveBeenCalledTimes(2);
+	});
+});
@@ -0,0 +1,130 @@
+// The count of finished tasks each state a task settles in adds to.
+const counters = {
+	fulfilled: "completed",
+	rejected: "failed",
+	cancelled: "cancelled",
+};
+
+/**
+ * Runs asynk tasks at most `concurrency` at a time, queueing the others by
+ * priority. Created with `asynk.pool`, which provides `createTask(f,
+ * options)` to create an asynk task without starting it.
+ */
+export class Pool {
+	#createTask;
+
+	constructor({ concurrency = 1 } = {}, createTask) {
+		if (!(concurrency >= 1)) {
+			throw new RangeError(
+				`A pool needs a concurrency of at least 1, but got ${concurrency}`,
+			);
+		}
+		this.concurrency = concurrency;
+		this.#createTask = createTask;
+		// Waiting tasks, highest priority first, then in the order they came.
+		this.queue = [];
+		this.running = 0;
+		this.completed = 0;
+		this.failed = 0;
+		this.cancelled = 0;
+		this.idleWaiters = [];
+	}
+
+	/**
+	 * Queues the generator function `f`, and returns the promise of the asynk
+	 * task running it, whose `cancel()` also takes it out of the queue. The
+	 * generator does not start until the task gets a slot, tasks with a higher
+	 * `priority` (0 by default) getting one first. Other options are passed
+	 * to `asynk`; `timeout` only counts from when the task starts.
+	 */
+	run(f, { priority = 0, ...options } = {}) {
+		const task = this.#createTask(f, options);
+		const entry = { task, priority, started: false, release: undefined };
+		const settled = (outcome) => {
+			this[outcome] += 1;
+			// A task cancelled while queued never had a slot to give back.
+			if (entry.started) {
+				this.running -= 1;
+			}
+			this.#next();
+		};
+		task.whenSettled((state) => settled(counters[state]));
+		if (this.running < this.concurrency) {
+			this.#start(entry);
+			return task.promise;
+		}
+		const index = this.queue.findIndex((x) => x.priority < priority);
+		this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+		// The task only listens to its signal once started.
+		const { signal } = options;
+		const onAbort = () => task.cancel(signal.reason);
+		signal?.addEventListener("abort", onAbort, { once: true });
+		const untrack = task.track(() => {
+			entry.release();
+			this.queue.splice(this.queue.indexOf(entry), 1);
+		}, false);
+		entry.release = () => {
+			untrack();
+			signal?.removeEventListener("abort", onAbort);
+		};
+		return task.promise;
+	}
+
+	/**
+	 * Resolves once no task is running or queued.
+	 */
+	onIdle() {
+		if (this.running === 0 && this.queue.length === 0) {
+			return Promise.resolve();
+		}
+		return new Promise((resolve) => {
+			this.idleWaiters.push(resolve);
+		});
+	}
+
+	/**
+	 * How many tasks are `running` and `queued`, and how many have
+	 * `completed`, `failed` or been `cancelled` so far.
+	 */
+	get stats() {
+		return {
+			concurrency: this.concurrency,
+			running: this.running,
+			queued: this.queue.length,
+			completed: this.completed,
+			failed: this.failed,
+			cancelled: this.cancelled,
+		};
+	}
+
+	#start(entry) {
+		entry.started = true;
+		this.running += 1;
+		try {
+			entry.task.start();
+		} catch (err) {
+			// Thrown in place, so the task will not settle by itself.
+			entry.started = false;
+			this.running -= 1;
+			throw err;
+		}
+	}
+
+	#next() {
+		while (this.running < this.concurrency && this.queue.length > 0) {
+			const entry = this.queue.shift();
+			entry.release();
+			try {
+				this.#start(entry);
+			} catch (err) {
+				// Nobody is there to catch what it throws in place anymore.
+				entry.task.fail(err);
+			}
+		}
+		if (this.running === 0 && this.queue.length === 0) {
+			for (const resolve of this.idleWaiters.splice(0)) {
+				resolve();
+			}
+		}
+	}
+}
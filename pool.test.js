@@ -0,0 +1,140 @@
+import { describe, expect, it } from "vitest";
+import { AbortError, asynk } from "./main.js";
+
+const timeout = (x, resolve = true) =>
+	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
+
+// A generator function logging when it starts and ends.
+const job = (log, name, ms = 5) =>
+	function* () {
+		log.push(`start ${name}`);
+		yield new Promise((resolve) => setTimeout(resolve, ms));
+		log.push(`end ${name}`);
+		return name;
+	};
+
+describe("Pool", () => {
+	it("Should run at most `concurrency` tasks at a time", async () => {
+		const pool = asynk.pool({ concurrency: 2 });
+		let running = 0;
+		let maxRunning = 0;
+		const results = [1, 2, 3, 4, 5].map((id) =>
+			pool.run(function* () {
+				running += 1;
+				maxRunning = Math.max(maxRunning, running);
+				yield timeout();
+				running -= 1;
+				return id * 10;
+			}),
+		);
+		expect(pool.stats).toMatchObject({ running: 2, queued: 3 });
+		await expect(Promise.all(results)).resolves.toEqual([10, 20, 30, 40, 50]);
+		expect(maxRunning).toBe(2);
+		expect(pool.stats).toEqual({
+			concurrency: 2,
+			running: 0,
+			queued: 0,
+			completed: 5,
+			failed: 0,
+			cancelled: 0,
+		});
+	});
+
+	it("Should not start the generator of a queued task", async () => {
+		const log = [];
+		const pool = asynk.pool({ concurrency: 1 });
+		const first = pool.run(job(log, "a"));
+		const second = pool.run(job(log, "b"));
+		expect(log).toEqual(["start a"]);
+		await first;
+		expect(log).toEqual(["start a", "end a", "start b"]);
+		await second;
+	});
+
+	it("Should give free slots to higher priorities first", async () => {
+		const log = [];
+		const pool = asynk.pool({ concurrency: 1 });
+		pool.run(job(log, "running"));
+		pool.run(job(log, "low"), { priority: -1 });
+		pool.run(job(log, "normal 1"));
+		pool.run(job(log, "high"), { priority: 5 });
+		pool.run(job(log, "normal 2"));
+		await pool.onIdle();
+		expect(log.filter((x) => x.startsWith("start"))).toEqual([
+			"start running",
+			"start high",
+			"start normal 1",
+			"start normal 2",
+			"start low",
+		]);
+	});
+
+	it("Should take a task cancelled while queued out of the queue", async () => {
+		const log = [];
+		const pool = asynk.pool({ concurrency: 1 });
+		const first = pool.run(job(log, "a"));
+		const second = pool.run(job(log, "b"));
+		const controller = new AbortController();
+		const third = pool.run(job(log, "c"), { signal: controller.signal });
+		const fourth = pool.run(job(log, "d"));
+		expect(pool.stats.queued).toBe(3);
+		second.cancel("not needed");
+		controller.abort();
+		await Promise.all([
+			expect(second).rejects.toBeInstanceOf(AbortError),
+			expect(third).rejects.toBeInstanceOf(AbortError),
+		]);
+		expect(pool.stats).toMatchObject({ running: 1, queued: 1, cancelled: 2 });
+		await Promise.all([first, fourth]);
+		expect(log).toEqual(["start a", "end a", "start d", "end d"]);
+	});
+
+	it("Should free the slot of a task that fails or is cancelled", async () => {
+		const log = [];
+		const pool = asynk.pool({ concurrency: 1 });
+		const failing = pool.run(function* () {
+			yield timeout();
+			throw new Error("ERROR");
+		});
+		const stuck = pool.run(function* () {
+			yield new Promise(() => {});
+		});
+		const last = pool.run(job(log, "last"));
+		await expect(failing).rejects.toThrow("ERROR");
+		stuck.cancel();
+		await expect(stuck).rejects.toBeInstanceOf(AbortError);
+		await expect(last).resolves.toBe("last");
+		expect(pool.stats).toMatchObject({ completed: 1, failed: 1, cancelled: 1 });
+	});
+
+	it("Should resolve onIdle once nothing is running or queued", async () => {
+		const pool = asynk.pool({ concurrency: 2 });
+		await pool.onIdle();
+		const log = [];
+		for (const name of ["a", "b", "c"]) {
+			pool.run(job(log, name));
+		}
+		await pool.onIdle();
+		expect(log.filter((x) => x.startsWith("end"))).toHaveLength(3);
+		expect(pool.stats).toMatchObject({ running: 0, queued: 0 });
+	});
+
+	it("Should only count the timeout from when a task starts", async () => {
+		const pool = asynk.pool({ concurrency: 1 });
+		pool.run(function* () {
+			yield new Promise((resolve) => setTimeout(resolve, 30));
+		});
+		const queued = pool.run(
+			function* () {
+				yield timeout();
+				return "in time";
+			},
+			{ timeout: 20 },
+		);
+		await expect(queued).resolves.toBe("in time");
+	});
+
+	it("Should refuse a concurrency below 1", () => {
+		expect(() => asynk.pool({ concurrency: 0 })).toThrow(RangeError);
+	});
+});
@@ -0,0 +1,104 @@
+/**
+ * Reports an asynk task that rejected while nothing was waiting on its
+ * promise. `taskName` is the name of its generator, `step` the number of
+ * yields it had gone through when it failed, and `cause` the error it
+ * rejected with.
+ */
+export class UnhandledRejectionError extends Error {
+	constructor({ id, name, step, error }) {
+		const where = step > 0 ? `at yield #${step}` : "before its first yield";
+		super(
+			`asynk task ${name || "<anonymous>"} rejected ${where} and nothing handled it`,
+			{ cause: error },
+		);
+		this.name = "UnhandledRejectionError";
+		this.taskId = id;
+		this.taskName = name;
+		this.step = step;
+	}
+}
+
+let handler = "throw";
+
+const collected = [];
+
+// Rejected tasks nobody has handled yet, with what to report for them, until
+// their grace period runs out.
+const pending = new Map();
+
+const handle = (report) => {
+	if (typeof handler === "function") {
+		handler(report);
+	} else if (handler === "collect") {
+		collected.push(report);
+	} else if (handler === "log") {
+		console.error(report);
+	} else {
+		throw report;
+	}
+};
+
+// Reports an error nothing can be rejected with, such as one thrown while
+// disposing of a resource, like an unhandled rejection.
+export const reportUncaught = (report) => {
+	queueMicrotask(() => handle(report));
+};
+
+/**
+ * Sets what happens to unhandled rejections, and returns a function putting
+ * back the previous handler.
+ */
+export const setRejectionHandler = (next) => {
+	const previous = handler;
+	handler = next;
+	return () => {
+		handler = previous;
+	};
+};
+
+// Called when `task` rejects with nothing handling its promise. A handler
+// attached before the next macrotask still counts, like one attached after
+// some other `await` of the same function.
+export const rejectedUnhandled = (task, describe) => {
+	pending.set(task, describe);
+	setTimeout(() => {
+		if (pending.delete(task)) {
+			handle(new UnhandledRejectionError(describe()));
+		}
+	}, 0);
+};
+
+// Called when a handler gets attached to the promise of `task`.
+export const rejectionHandled = (task) => {
+	if (pending.size > 0) {
+		pending.delete(task);
+	}
+};
+
+/**
+ * Returns the rejections collected by the "collect" handler, and forgets them.
+ */
+export const takeCollected = () => collected.splice(0);
+
+/**
+ * Throws if any task rejected without being handled since the last call,
+ * whether it was collected already or is still within its grace period.
+ */
+export const checkRejections = () => {
+	const reports = [
+		...takeCollected(),
+		...[...pending.values()].map(
+			(describe) => new UnhandledRejectionError(describe()),
+		),
+	];
+	pending.clear();
+	if (reports.length === 1) {
+		throw reports[0];
+	}
+	if (reports.length > 1) {
+		throw new AggregateError(
+			reports,
+			`${reports.length} asynk tasks rejected and nothing handled them`,
+		);
+	}
+};
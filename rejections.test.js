@@ -0,0 +1,149 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { UnhandledRejectionError, asynk, fork } from "./main.js";
+
+const timeout = (x, resolve = true) =>
+	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
+
+// Long enough for the grace period of unhandled rejections to run out.
+const later = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+describe("Unhandled rejections", () => {
+	let restore;
+
+	beforeEach(() => {
+		restore = asynk.onUnhandledRejection("collect");
+	});
+
+	afterEach(() => {
+		asynk.unhandledRejections();
+		restore();
+	});
+
+	it("Should report the generator, the step and the error", async () => {
+		const err = new Error("ERROR");
+		asynk(function* loadUser() {
+			yield timeout();
+			yield timeout();
+			throw err;
+		});
+		await later();
+		const reports = asynk.unhandledRejections();
+		expect(reports).toHaveLength(1);
+		expect(reports[0]).toBeInstanceOf(UnhandledRejectionError);
+		expect(reports[0]).toMatchObject({
+			taskName: "loadUser",
+			step: 2,
+			cause: err,
+		});
+		expect(reports[0].message).toBe(
+			"asynk task loadUser rejected at yield #2 and nothing handled it",
+		);
+		expect(asynk.unhandledRejections()).toEqual([]);
+	});
+
+	it("Should not report tasks that are awaited, caught or yielded", async () => {
+		const failing = () =>
+			asynk(function* () {
+				yield timeout();
+				throw new Error("ERROR");
+			});
+		const caught = failing();
+		caught.catch(() => {});
+		const thenned = failing();
+		thenned.then(undefined, () => {});
+		await expect(failing()).rejects.toThrow("ERROR");
+		await asynk(function* () {
+			try {
+				yield failing();
+			} catch (_) {}
+		});
+		await later();
+		expect(asynk.unhandledRejections()).toEqual([]);
+	});
+
+	it("Should not report a task handled right after it rejected", async () => {
+		const result = asynk(function* () {
+			throw new Error("ERROR");
+		});
+		await Promise.resolve();
+		await expect(result).rejects.toThrow("ERROR");
+		await later();
+		expect(asynk.unhandledRejections()).toEqual([]);
+	});
+
+	it("Should not report cancelled tasks", async () => {
+		const result = asynk(function* () {
+			yield new Promise(() => {});
+		});
+		result.cancel();
+		await later();
+		expect(asynk.unhandledRejections()).toEqual([]);
+	});
+
+	it("Should report forked tasks that fail without being joined", async () => {
+		const err = new Error("ERROR");
+		const result = asynk(function* () {
+			yield fork(function* sendEmail() {
+				throw err;
+			});
+			return "done";
+		});
+		await expect(result).resolves.toBe("done");
+		await later();
+		const reports = asynk.unhandledRejections();
+		expect(reports).toHaveLength(1);
+		expect(reports[0]).toMatchObject({
+			taskName: "sendEmail",
+			step: 0,
+			cause: err,
+		});
+		expect(reports[0].message).toContain("before its first yield");
+	});
+
+	it("Should call a handler function or log the report", async () => {
+		const handler = vi.fn();
+		asynk.onUnhandledRejection(handler);
+		asynk(function* first() {
+			throw new Error("ERROR");
+		});
+		await later();
+		expect(handler).toHaveBeenCalledOnce();
+		expect(handler.mock.calls[0][0].taskName).toBe("first");
+
+		const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+		asynk.onUnhandledRejection("log");
+		asynk(function* second() {
+			throw new Error("ERROR");
+		});
+		await later();
+		expect(errorSpy).toHaveBeenCalledOnce();
+		expect(errorSpy.mock.calls[0][0].taskName).toBe("second");
+		errorSpy.mockRestore();
+	});
+
+	it("Should fail a test with tasks rejected without a handler", async () => {
+		expect(() => asynk.expectNoUnhandledRejections()).not.toThrow();
+		asynk(function* collected() {
+			throw new Error("ERROR");
+		});
+		await later();
+		// Still within the grace period, but reported all the same.
+		asynk(function* pending() {
+			throw new Error("ERROR");
+		});
+		let thrown;
+		try {
+			asynk.expectNoUnhandledRejections();
+		} catch (err) {
+			thrown = err;
+		}
+		expect(thrown).toBeInstanceOf(AggregateError);
+		expect(thrown.errors.map((x) => x.taskName)).toEqual([
+			"collected",
+			"pending",
+		]);
+		await later();
+		expect(asynk.unhandledRejections()).toEqual([]);
+		expect(() => asynk.expectNoUnhandledRejections()).not.toThrow();
+	});
+});
@@ -0,0 +1,66 @@
+import { effect } from "./effects.js";
+
+// Where the runtime does not have them yet, the symbols polyfills define.
+const asyncDispose = Symbol.asyncDispose ?? Symbol.for("Symbol.asyncDispose");
+const dispose = Symbol.dispose ?? Symbol.for("Symbol.dispose");
+
+/**
+ * Describes waiting for `acquire`, a Promise of a resource (or anything else
+ * that can be yielded), and resuming with the resource, which is disposed of
+ * once the generator is done, whether it returns, throws or is cancelled.
+ * `release(resource)` disposes of it, and may return a Promise. Without
+ * `release`, the resource's `Symbol.asyncDispose` (or `Symbol.dispose`)
+ * method is used.
+ */
+export const use = (acquire, release) => effect("use", { acquire, release });
+
+/**
+ * Reports an error thrown while disposing of a resource of an asynk task,
+ * when nothing could be rejected with it: because the task was already
+ * failing with another error, or had stopped waiting for the resource.
+ * `cause` is the error the disposal threw.
+ */
+export class DisposalError extends Error {
+	constructor({ id, name, error }) {
+		super(
+			`asynk task ${name || "<anonymous>"} failed to dispose of a resource`,
+			{ cause: error },
+		);
+		this.name = "DisposalError";
+		this.taskId = id;
+		this.taskName = name;
+	}
+}
+
+// Returns the function disposing of the `resource` of a `use` effect.
+export const disposerFor = (resource, release) => {
+	if (release !== undefined) {
+		return () => release(resource);
+	}
+	const method = resource?.[asyncDispose] ?? resource?.[dispose];
+	if (typeof method !== "function") {
+		throw new TypeError(
+			"use() needs a release function for a resource without a Symbol.asyncDispose or Symbol.dispose method",
+		);
+	}
+	return () => method.call(resource);
+};
+
+// Calls `disposers` one after the other, last first, waiting for those
+// returning a Promise. Resolves with the errors they threw, in that order.
+export const disposeAll = (disposers) => {
+	const errors = [];
+	const next = (i) => {
+		if (i < 0) {
+			return errors;
+		}
+		return new Promise((resolve) => resolve(disposers[i]())).then(
+			() => next(i - 1),
+			(err) => {
+				errors.push(err);
+				return next(i - 1);
+			},
+		);
+	};
+	return Promise.resolve().then(() => next(disposers.length - 1));
+};
@@ -0,0 +1,216 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import {
+	AbortError,
+	DisposalError,
+	TimeoutError,
+	asynk,
+	call,
+	delay,
+	use,
+} from "./main.js";
+
+const timeout = (x, resolve = true) =>
+	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
+
+const asyncDispose = Symbol.asyncDispose ?? Symbol.for("Symbol.asyncDispose");
+const dispose = Symbol.dispose ?? Symbol.for("Symbol.dispose");
+
+// Opening and closing a connection each take a timeout.
+const connect = (name) => timeout({ name });
+const close = (log) => (connection) =>
+	timeout().then(() => log.push(`close ${connection.name}`));
+
+describe("Resources", () => {
+	beforeEach(() => asynk.onUnhandledRejection("collect"));
+	afterEach(() => {
+		asynk.onUnhandledRejection("throw");
+		asynk.unhandledRejections();
+	});
+
+	it("Should dispose of resources last first once the generator returns", async () => {
+		const log = [];
+		const result = asynk(function* () {
+			const a = yield use(connect("a"), close(log));
+			const b = yield use(call(connect, "b"), close(log));
+			log.push(`using ${a.name} and ${b.name}`);
+			return "done";
+		}).then((x) => {
+			log.push(x);
+		});
+		await result;
+		expect(log).toEqual(["using a and b", "close b", "close a", "done"]);
+	});
+
+	it("Should dispose of resources when the generator throws", async () => {
+		const log = [];
+		const err = new Error("ERROR");
+		const result = asynk(function* () {
+			yield use(connect("a"), close(log));
+			throw err;
+		});
+		await expect(result).rejects.toBe(err);
+		expect(log).toEqual(["close a"]);
+	});
+
+	it("Should dispose of resources when the task is cancelled", async () => {
+		const log = [];
+		const result = asynk(function* () {
+			try {
+				yield use(connect("a"), close(log));
+				yield delay(60000);
+			} finally {
+				log.push("finally");
+			}
+		});
+		await timeout();
+		result.cancel();
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		expect(log).toEqual(["finally", "close a"]);
+	});
+
+	it("Should use Symbol.asyncDispose and Symbol.dispose", async () => {
+		const log = [];
+		const resource = (name, symbol) => ({
+			[symbol]() {
+				log.push(`dispose ${name}`);
+			},
+		});
+		await asynk(function* () {
+			yield use(Promise.resolve(resource("a", asyncDispose)));
+			yield use(Promise.resolve(resource("b", dispose)));
+		});
+		expect(log).toEqual(["dispose b", "dispose a"]);
+	});
+
+	it("Should throw at the yield for a resource it cannot dispose of", async () => {
+		const result = asynk(function* () {
+			try {
+				yield use(Promise.resolve({}));
+			} catch (err) {
+				return err;
+			}
+		});
+		await expect(result).resolves.toBeInstanceOf(TypeError);
+	});
+
+	it("Should not dispose of a resource it failed to acquire", async () => {
+		const log = [];
+		const err = new Error("ERROR");
+		const result = asynk(function* () {
+			yield use(connect("a"), close(log));
+			yield use(timeout(err, false), close(log));
+		});
+		await expect(result).rejects.toBe(err);
+		expect(log).toEqual(["close a"]);
+	});
+
+	it("Should reject with a disposal error when the generator returned", async () => {
+		const first = new Error("FIRST");
+		const second = new Error("SECOND");
+		const result = asynk(function* named() {
+			yield use(timeout("a"), () => Promise.reject(second));
+			yield use(timeout("b"), () => {
+				throw first;
+			});
+			return "done";
+		});
+		await expect(result).rejects.toBe(first);
+		const [report] = asynk.unhandledRejections();
+		expect(report).toBeInstanceOf(DisposalError);
+		expect(report.cause).toBe(second);
+		expect(report.taskName).toBe("named");
+	});
+
+	it("Should not hide the error the generator threw", async () => {
+		const err = new Error("ERROR");
+		const disposalError = new Error("DISPOSAL");
+		const log = [];
+		const result = asynk(function* () {
+			yield use(connect("a"), close(log));
+			yield use(timeout("b"), () => {
+				throw disposalError;
+			});
+			throw err;
+		});
+		await expect(result).rejects.toBe(err);
+		expect(log).toEqual(["close a"]);
+		const reports = asynk.unhandledRejections();
+		expect(reports).toHaveLength(1);
+		expect(reports[0].cause).toBe(disposalError);
+		expect(reports[0].message).toBe(
+			"asynk task <anonymous> failed to dispose of a resource",
+		);
+	});
+
+	it("Should dispose of a resource acquired after the task stopped waiting", async () => {
+		const log = [];
+		let open;
+		const result = asynk(function* () {
+			yield use(
+				new Promise((resolve) => {
+					open = () => resolve({ name: "late" });
+				}),
+				close(log),
+			);
+		});
+		result.cancel();
+		await expect(result).rejects.toBeInstanceOf(AbortError);
+		open();
+		await timeout();
+		await timeout();
+		expect(log).toEqual(["close late"]);
+	});
+
+	it("Should not wait past its timeout for a resource to be disposed of", async () => {
+		const result = asynk(
+			function* () {
+				yield use(connect("a"), () => new Promise(() => {}));
+				return "done";
+			},
+			{ timeout: 50 },
+		);
+		await expect(result).rejects.toBeInstanceOf(TimeoutError);
+
+		const cancelled = asynk(function* () {
+			yield use(connect("b"), () => new Promise(() => {}));
+		});
+		await timeout();
+		await timeout();
+		cancelled.cancel();
+		await expect(cancelled).rejects.toBeInstanceOf(AbortError);
+	});
+
+	it("Should report errors of a disposal the task stopped waiting for", async () => {
+		const err = new Error("LATE");
+		const result = asynk(
+			function* () {
+				yield use(
+					connect("a"),
+					() => new Promise((_, reject) => setTimeout(reject, 80, err)),
+				);
+			},
+			{ timeout: 20 },
+		);
+		await expect(result).rejects.toBeInstanceOf(TimeoutError);
+		expect(asynk.unhandledRejections()).toEqual([]);
+		await new Promise((resolve) => setTimeout(resolve, 100));
+		const [report] = asynk.unhandledRejections();
+		expect(report).toBeInstanceOf(DisposalError);
+		expect(report.cause).toBe(err);
+	});
+
+	it("Should point debug stacks at the yield of a resource", async () => {
+		asynk.debug();
+		try {
+			const result = asynk(function* connecting() {
+				yield use(timeout(new Error("ERROR"), false));
+			});
+			const err = await result.catch((x) => x);
+			expect(err.stack).toMatch(
+				/\n {4}at async connecting \(.*resources\.test\.js:\d+:\d+\)$/,
+			);
+		} finally {
+			asynk.debug(false);
+		}
+	});
+});
@@ -0,0 +1,130 @@
+/**
+ * The scheduler tasks use unless given another: resumptions run as soon as
+ * the awaited value settles, and timers are the global ones.
+ *
+ * A scheduler is any object with the same methods: `now()` for the current
+ * time in milliseconds, `setTimeout(fn, ms)` and `clearTimeout(handle)` for
+ * the timers of delays and timeouts, and `schedule(resume, task)` to run the
+ * resumption of a task's generator (`task` has its `id`, `name` and `step`).
+ */
+export const realScheduler = {
+	now: () => performance.now(),
+	setTimeout: (fn, ms) => setTimeout(fn, ms),
+	clearTimeout: (handle) => clearTimeout(handle),
+	schedule: (resume) => resume(),
+};
+
+// Lets every pending microtask (and real zero-delay timer) run.
+const macrotask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * A deterministic scheduler for tests. Time only moves when `advance(ms)` is
+ * called, and resumptions wait in a queue until they are run one by one with
+ * `runNext()`, or all at once with `flush()`. Every resumption run is
+ * appended to `log`, giving the order in which tasks were interleaved.
+ */
+export class VirtualScheduler {
+	constructor() {
+		this.time = 0;
+		this.queue = [];
+		this.timers = [];
+		this.nextTimerId = 1;
+		this.log = [];
+	}
+
+	now() {
+		return this.time;
+	}
+
+	setTimeout(fn, ms = 0) {
+		const id = this.nextTimerId;
+		this.nextTimerId += 1;
+		this.timers.push({ id, at: this.time + Math.max(0, ms), fn });
+		return id;
+	}
+
+	clearTimeout(id) {
+		this.timers = this.timers.filter((timer) => timer.id !== id);
+	}
+
+	schedule(resume, task) {
+		this.queue.push({ resume, task });
+	}
+
+	/**
+	 * How many resumptions are waiting to be run.
+	 */
+	get pending() {
+		return this.queue.length;
+	}
+
+	/**
+	 * Runs the oldest waiting resumption, returning whether there was one.
+	 */
+	runNext() {
+		const next = this.queue.shift();
+		if (!next) {
+			return false;
+		}
+		this.log.push(next.task);
+		next.resume();
+		return true;
+	}
+
+	/**
+	 * Runs waiting resumptions until there are none, returning how many ran.
+	 */
+	flush() {
+		let count = 0;
+		while (this.runNext()) {
+			count += 1;
+		}
+		return count;
+	}
+
+	#nextTimer() {
+		return this.timers.reduce(
+			(next, timer) =>
+				next === undefined || timer.at < next.at ? timer : next,
+			undefined,
+		);
+	}
+
+	/**
+	 * Moves time forward by `ms`, firing the timers that fall due in order.
+	 */
+	advance(ms) {
+		const until = this.time + ms;
+		for (
+			let timer = this.#nextTimer();
+			timer !== undefined && timer.at <= until;
+			timer = this.#nextTimer()
+		) {
+			this.timers = this.timers.filter((x) => x !== timer);
+			this.time = timer.at;
+			timer.fn();
+		}
+		this.time = until;
+	}
+
+	/**
+	 * Runs everything there is to run, advancing time to the next timer
+	 * whenever nothing else is left, and resolves once nothing is left at all.
+	 * Waits for a macrotask between rounds so that settled promises get to
+	 * queue their resumptions.
+	 */
+	run() {
+		const round = () =>
+			macrotask().then(() => {
+				if (this.flush() > 0) {
+					return round();
+				}
+				const timer = this.#nextTimer();
+				if (timer !== undefined) {
+					this.advance(timer.at - this.time);
+					return round();
+				}
+			});
+		return round();
+	}
+}
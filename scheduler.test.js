@@ -0,0 +1,119 @@
+import { describe, it, expect } from "vitest";
+import { TimeoutError, VirtualScheduler, asynk, delay } from "./main.js";
+
+// Lets pending microtasks run, so settled promises queue their resumptions.
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("VirtualScheduler", () => {
+	it("Should only resume delays once virtual time is advanced", async () => {
+		const scheduler = new VirtualScheduler();
+		let resumed = false;
+		const result = asynk(
+			function* () {
+				yield delay(1000);
+				resumed = true;
+				return "done";
+			},
+			{ scheduler },
+		);
+		scheduler.advance(999);
+		await settle();
+		expect(scheduler.flush()).toBe(0);
+		scheduler.advance(1);
+		await settle();
+		expect(resumed).toBe(false);
+		expect(scheduler.pending).toBe(1);
+		expect(scheduler.flush()).toBe(1);
+		expect(resumed).toBe(true);
+		await expect(result).resolves.toBe("done");
+	});
+
+	it("Should let tests step through resumptions and check their order", async () => {
+		const scheduler = new VirtualScheduler();
+		const log = [];
+		const worker = (name, ms) =>
+			function* () {
+				for (let i = 0; i < 2; i += 1) {
+					yield delay(ms);
+					log.push(`${name} ${i}`);
+				}
+			};
+		asynk(worker("a", 10), { scheduler, name: "a" });
+		asynk(worker("b", 15), { scheduler, name: "b" });
+		scheduler.advance(10);
+		await settle();
+		expect(scheduler.runNext()).toBe(true);
+		expect(log).toEqual(["a 0"]);
+		scheduler.advance(10);
+		await settle();
+		scheduler.flush();
+		expect(log).toEqual(["a 0", "b 0", "a 1"]);
+		await scheduler.run();
+		expect(log).toEqual(["a 0", "b 0", "a 1", "b 1"]);
+		expect(scheduler.log.map(({ name, step }) => `${name} ${step}`)).toEqual([
+			"a 1",
+			"b 1",
+			"a 2",
+			"b 2",
+		]);
+		expect(scheduler.now()).toBe(35);
+	});
+
+	it("Should run long virtual delays to completion right away", async () => {
+		const scheduler = new VirtualScheduler();
+		const start = Date.now();
+		const result = asynk(
+			function* () {
+				const a = yield delay(60 * 60 * 1000, 1);
+				const b = yield delay(24 * 60 * 60 * 1000, 2);
+				return a + b;
+			},
+			{ scheduler },
+		);
+		await scheduler.run();
+		await expect(result).resolves.toBe(3);
+		expect(scheduler.now()).toBe(25 * 60 * 60 * 1000);
+		expect(Date.now() - start).toBeLessThan(1000);
+	});
+
+	it("Should time out yields in virtual time", async () => {
+		const scheduler = new VirtualScheduler();
+		const result = asynk(
+			function* () {
+				try {
+					yield new Promise(() => {});
+				} catch (err) {
+					return err;
+				}
+			},
+			{ scheduler, stepTimeout: 5000 },
+		);
+		scheduler.advance(5000);
+		await expect(result).resolves.toBeInstanceOf(TimeoutError);
+	});
+
+	it("Should be used by tasks started from inside a task", async () => {
+		const scheduler = new VirtualScheduler();
+		const result = asynk(
+			function* () {
+				return yield asynk(function* () {
+					return yield delay(100, "inner");
+				});
+			},
+			{ scheduler },
+		);
+		await scheduler.run();
+		await expect(result).resolves.toBe("inner");
+		expect(scheduler.now()).toBe(100);
+	});
+
+	it("Should drop timers that were cleared", () => {
+		const scheduler = new VirtualScheduler();
+		const fired = [];
+		const a = scheduler.setTimeout(() => fired.push("a"), 10);
+		scheduler.setTimeout(() => fired.push("b"), 20);
+		scheduler.clearTimeout(a);
+		scheduler.advance(30);
+		expect(fired).toEqual(["b"]);
+	});
+});
@@ -0,0 +1,162 @@
+/**
+ * Every error of an `asynk.scope` in which more than one task failed, in the
+ * order they happened in `errors`, the first one being the `cause` too. The
+ * scope rejects with that first error, which carries the ScopeError as its
+ * `scopeError` property.
+ */
+export class ScopeError extends AggregateError {
+	constructor(errors) {
+		super(errors, `${errors.length} tasks of the asynk scope failed`, {
+			cause: errors[0],
+		});
+		this.name = "ScopeError";
+	}
+}
+
+const strategies = ["fail-fast", "continue"];
+
+// Keeps track of the tasks started in a scope. With the "fail-fast"
+// strategy, the first failure cancels all the others, while with
+// "continue" they carry on. A failed task is started again, up to
+// `restarts` times, before its failure counts.
+export class Supervisor {
+	#run;
+	#strategy;
+	#restarts;
+	// The tasks still running, each with whether we cancelled it.
+	#running = new Map();
+	#errors = [];
+	#cancelling = false;
+	#finished = false;
+	#idle = [];
+
+	// `run(f, options)` runs `f` as an asynk task.
+	constructor({ strategy = "fail-fast", restarts = 0 } = {}, run) {
+		if (!strategies.includes(strategy)) {
+			throw new RangeError(
+				`Unknown scope strategy ${strategy}, expected one of ${strategies.join(
+					", ",
+				)}`,
+			);
+		}
+		this.#run = run;
+		this.#strategy = strategy;
+		this.#restarts = restarts;
+	}
+
+	get errors() {
+		return this.#errors;
+	}
+
+	spawn(f, { restarts = this.#restarts, ...options } = {}) {
+		if (this.#finished) {
+			throw new Error("Cannot spawn a task in an asynk scope that has settled");
+		}
+		const run = this.#run;
+		const task =
+			restarts > 0
+				? run(
+						function* supervised() {
+							for (let attempt = 0; ; attempt += 1) {
+								try {
+									return yield run(f, options);
+								} catch (err) {
+									if (attempt >= restarts) {
+										throw err;
+									}
+								}
+							}
+						},
+						{ name: f.name, ...options },
+					)
+				: run(f, options);
+		const entry = { cancelled: false };
+		this.#running.set(task, entry);
+		task.then(
+			() => this.#settle(task),
+			(err) => {
+				// Tasks we cancelled are expected to reject with an AbortError.
+				if (!entry.cancelled || err?.name !== "AbortError") {
+					this.#errors.push(err);
+					if (this.#strategy === "fail-fast") {
+						this.cancel();
+					}
+				}
+				this.#settle(task);
+			},
+		);
+		if (this.#cancelling) {
+			this.#cancel(task, entry);
+		}
+		return task;
+	}
+
+	#cancel(task, entry) {
+		entry.cancelled = true;
+		task.cancel();
+	}
+
+	// Cancels every task still running, and those spawned from now on.
+	cancel() {
+		this.#cancelling = true;
+		for (const [task, entry] of this.#running) {
+			if (!entry.cancelled) {
+				this.#cancel(task, entry);
+			}
+		}
+	}
+
+	#settle(task) {
+		this.#running.delete(task);
+		if (this.#running.size === 0) {
+			this.#finished = true;
+			for (const resolve of this.#idle.splice(0)) {
+				resolve();
+			}
+		}
+	}
+
+	// Resolves once no task is running anymore, after which none can be
+	// spawned.
+	settled() {
+		if (this.#running.size === 0) {
+			this.#finished = true;
+			return Promise.resolve();
+		}
+		return new Promise((resolve) => this.#idle.push(resolve));
+	}
+}
+
+// Runs `body(spawn)` as the first task of `supervisor`, and waits for every
+// task of the scope to settle, even when the scope itself is cancelled.
+// Returns what `body` returns, unless some task failed.
+export function* scope(body, supervisor) {
+	const main = supervisor.spawn(
+		() => body((f, options) => supervisor.spawn(f, options)),
+		{ name: body.name, restarts: 0 },
+	);
+	let settled = false;
+	try {
+		yield supervisor.settled();
+		settled = true;
+	} finally {
+		if (!settled) {
+			supervisor.cancel();
+			yield supervisor.settled();
+		}
+	}
+	const { errors } = supervisor;
+	if (errors.length > 0) {
+		const [first] = errors;
+		// Anything can be thrown, but only objects can carry the others.
+		if (errors.length > 1 && Object(first) === first) {
+			Object.defineProperty(first, "scopeError", {
+				value: new ScopeError(errors),
+				writable: true,
+				configurable: true,
+			});
+		}
+		throw first;
+	}
+	return yield main;
+}
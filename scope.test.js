@@ -0,0 +1,182 @@
+import { describe, expect, it } from "vitest";
+import { AbortError, ScopeError, asynk, delay } from "./main.js";
+
+const timeout = (x, resolve = true) =>
+	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
+
+// A child task that logs how it went, after waiting `ticks` timeouts.
+const worker = (log, name, ticks, err) =>
+	function* () {
+		try {
+			for (let i = 0; i < ticks; i += 1) {
+				yield timeout();
+			}
+			if (err) {
+				throw err;
+			}
+			log.push(`${name} done`);
+			return name;
+		} finally {
+			log.push(`${name} finally`);
+		}
+	};
+
+describe("Scopes", () => {
+	it("Should not settle before every spawned task has", async () => {
+		const log = [];
+		const result = asynk(function* () {
+			const value = yield asynk.scope(function* (spawn) {
+				spawn(worker(log, "a", 3));
+				const b = yield spawn(worker(log, "b", 1));
+				log.push(`body got ${b}`);
+				return "body";
+			});
+			log.push("scope done");
+			return value;
+		});
+		await expect(result).resolves.toBe("body");
+		expect(log).toEqual([
+			"b done",
+			"b finally",
+			"body got b",
+			"a done",
+			"a finally",
+			"scope done",
+		]);
+	});
+
+	it("Should cancel the other tasks when one fails, and reject with its error", async () => {
+		const log = [];
+		const err = new Error("ERROR");
+		const result = asynk.scope(function* (spawn) {
+			try {
+				spawn(worker(log, "a", 5));
+				spawn(worker(log, "b", 1, err));
+				yield delay(60000);
+			} finally {
+				log.push("body finally");
+			}
+		});
+		await expect(result).rejects.toBe(err);
+		expect(log).toEqual(["b finally", "a finally", "body finally"]);
+	});
+
+	it("Should cancel the spawned tasks when the body throws", async () => {
+		const log = [];
+		const err = new Error("ERROR");
+		const result = asynk.scope(function* (spawn) {
+			spawn(worker(log, "a", 5));
+			yield timeout();
+			throw err;
+		});
+		await expect(result).rejects.toBe(err);
+		expect(log).toEqual(["a finally"]);
+	});
+
+	it("Should attach a ScopeError when tasks fail while being cancelled", async () => {
+		const first = new Error("FIRST");
+		const second = new Error("SECOND");
+		const result = asynk.scope(function* (spawn) {
+			spawn(function* () {
+				try {
+					yield delay(60000);
+				} finally {
+					// biome-ignore lint/correctness/noUnsafeFinally: on purpose
+					throw second;
+				}
+			});
+			spawn(worker([], "b", 1, first));
+		});
+		const err = await result.catch((x) => x);
+		expect(err).toBe(first);
+		expect(err.scopeError).toBeInstanceOf(ScopeError);
+		expect(err.scopeError).toBeInstanceOf(AggregateError);
+		expect(err.scopeError.errors).toEqual([first, second]);
+		expect(err.scopeError.cause).toBe(first);
+		expect(err.scopeError.message).toBe("2 tasks of the asynk scope failed");
+	});
+
+	it("Should let the other tasks carry on with the continue strategy", async () => {
+		const log = [];
+		const first = new Error("FIRST");
+		const second = new Error("SECOND");
+		const result = asynk.scope(
+			function* (spawn) {
+				spawn(worker(log, "a", 1, first));
+				spawn(worker(log, "b", 3));
+				spawn(worker(log, "c", 2, second));
+				return "body";
+			},
+			{ strategy: "continue" },
+		);
+		const err = await result.catch((x) => x);
+		expect(err).toBe(first);
+		expect(err.scopeError.errors).toEqual([first, second]);
+		expect(log).toEqual(["a finally", "c finally", "b done", "b finally"]);
+	});
+
+	it("Should restart failed tasks up to `restarts` times", async () => {
+		const err = new Error("ERROR");
+		let attempts = 0;
+		const flaky = function* () {
+			attempts += 1;
+			yield timeout();
+			if (attempts < 3) {
+				throw err;
+			}
+			return attempts;
+		};
+		await expect(
+			asynk.scope(
+				function* (spawn) {
+					return yield spawn(flaky);
+				},
+				{ restarts: 2 },
+			),
+		).resolves.toBe(3);
+		attempts = 0;
+		await expect(
+			asynk.scope(function* (spawn) {
+				return yield spawn(flaky, { restarts: 1 });
+			}),
+		).rejects.toBe(err);
+		expect(attempts).toBe(2);
+	});
+
+	it("Should cancel every task, and wait for them, when cancelled", async () => {
+		const log = [];
+		const result = asynk.scope(function* (spawn) {
+			spawn(function* () {
+				try {
+					yield delay(60000);
+				} finally {
+					yield timeout();
+					log.push("a cleaned up");
+				}
+			});
+			yield delay(60000);
+		});
+		await timeout();
+		result.cancel("stop");
+		const err = await result.catch((x) => x);
+		expect(err).toBeInstanceOf(AbortError);
+		expect(err.cause).toBe("stop");
+		expect(log).toEqual(["a cleaned up"]);
+	});
+
+	it("Should not spawn tasks once settled", async () => {
+		let spawnLater;
+		await asynk.scope(function* (spawn) {
+			spawnLater = spawn;
+		});
+		expect(() => spawnLater(worker([], "a", 1))).toThrow(
+			"Cannot spawn a task in an asynk scope that has settled",
+		);
+	});
+
+	it("Should throw in place for an unknown strategy", () => {
+		expect(() => asynk.scope(function* () {}, { strategy: "retry" })).toThrow(
+			RangeError,
+		);
+	});
+});
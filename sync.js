@@ -0,0 +1,323 @@
+import { effect } from "./effects.js";
+
+// What channels and semaphores implement for `waitFor`: `[attempt](op)`
+// carries out the operation if it can go through right away, and returns
+// `{ value }` to resume with, or null. `[enqueue](op, waiter)` queues it
+// otherwise, and returns a function taking it out of the queue. Once the
+// operation goes through, the waiter's `fire(value)` is called, which
+// returns false if the waiter no longer wants it. `[restore](value)` puts
+// back a value taken by a task that stopped waiting before resuming with it.
+const attempt = Symbol("attempt");
+const enqueue = Symbol("enqueue");
+const give = Symbol("give");
+const restore = Symbol("restore");
+
+/**
+ * What `take()` resumes with once its channel is closed and drained.
+ */
+export const CLOSED = Symbol("asynk.closed");
+
+/**
+ * Thrown at the `yield` of a `put()` on a closed channel, including one that
+ * was waiting when the channel was closed.
+ */
+export class ChannelClosedError extends Error {
+	constructor(message, options) {
+		super(message ?? "The channel is closed", options);
+		this.name = "ChannelClosedError";
+	}
+}
+
+const remove = (queue, entry) => {
+	const index = queue.indexOf(entry);
+	if (index === -1) {
+		return false;
+	}
+	queue.splice(index, 1);
+	return true;
+};
+
+/**
+ * A queue of values for asynk tasks to pass each other, holding up to
+ * `capacity` values (0 by default). `yield channel.put(value)` waits until
+ * there is room for the value, or with no room at all, until a task takes
+ * it. `yield channel.take()` waits for a value, and resumes with `CLOSED`
+ * once the channel is closed and its values are all taken.
+ */
+export class Channel {
+	#capacity;
+	#buffer = [];
+	#putters = [];
+	#takers = [];
+	#closed = false;
+
+	constructor(capacity = 0) {
+		this.#capacity = capacity;
+	}
+
+	put(value) {
+		return effect("put", { channel: this, value });
+	}
+
+	take() {
+		return effect("take", { channel: this });
+	}
+
+	/**
+	 * Closes the channel: tasks waiting to take resume with `CLOSED`, and
+	 * those waiting to put throw a `ChannelClosedError`. Values already in
+	 * the buffer can still be taken.
+	 */
+	close() {
+		if (this.#closed) {
+			return;
+		}
+		this.#closed = true;
+		for (const waiter of this.#takers.splice(0)) {
+			waiter.fire(CLOSED);
+		}
+		for (const { waiter } of this.#putters.splice(0)) {
+			waiter.fail(new ChannelClosedError());
+		}
+	}
+
+	get closed() {
+		return this.#closed;
+	}
+
+	/** How many values are in the buffer. */
+	get size() {
+		return this.#buffer.length;
+	}
+
+	[attempt](op) {
+		return op.type === "put" ? this.#put(op.value) : this.#take();
+	}
+
+	[enqueue](op, waiter) {
+		const [queue, entry] =
+			op.type === "put"
+				? [this.#putters, { value: op.value, waiter }]
+				: [this.#takers, waiter];
+		queue.push(entry);
+		return () => {
+			remove(queue, entry);
+		};
+	}
+
+	[restore](value) {
+		while (this.#takers.length > 0) {
+			if (this.#takers.shift().fire(value)) {
+				return;
+			}
+		}
+		// Ahead of the others, as it was taken first.
+		this.#buffer.unshift(value);
+	}
+
+	#put(value) {
+		if (this.#closed) {
+			throw new ChannelClosedError();
+		}
+		while (this.#takers.length > 0) {
+			if (this.#takers.shift().fire(value)) {
+				return { value: undefined };
+			}
+		}
+		if (this.#buffer.length < this.#capacity) {
+			this.#buffer.push(value);
+			return { value: undefined };
+		}
+		return null;
+	}
+
+	#take() {
+		if (this.#buffer.length > 0) {
+			const value = this.#buffer.shift();
+			// The first waiting put takes the room that was made.
+			while (this.#putters.length > 0) {
+				const putter = this.#putters.shift();
+				if (putter.waiter.fire(undefined)) {
+					this.#buffer.push(putter.value);
+					break;
+				}
+			}
+			return { value };
+		}
+		while (this.#putters.length > 0) {
+			const putter = this.#putters.shift();
+			if (putter.waiter.fire(undefined)) {
+				return { value: putter.value };
+			}
+		}
+		return this.#closed ? { value: CLOSED } : null;
+	}
+}
+
+/**
+ * Hands out up to `permits` (1 by default) at a time to asynk tasks.
+ * `yield semaphore.acquire(n)` waits until `n` permits are available, and
+ * resumes with a function giving them back. Tasks get their permits in the
+ * order they asked for them, and a task that settles while still holding
+ * some gives them back.
+ */
+export class Semaphore {
+	#available;
+	#waiters = [];
+
+	constructor(permits = 1) {
+		this.#available = permits;
+	}
+
+	acquire(permits = 1) {
+		return effect("acquire", { semaphore: this, permits });
+	}
+
+	/** How many permits are not held by any task. */
+	get available() {
+		return this.#available;
+	}
+
+	[attempt]({ permits }) {
+		// Waiting tasks go first, so that a large acquire is not starved.
+		if (this.#waiters.length > 0 || this.#available < permits) {
+			return null;
+		}
+		this.#available -= permits;
+		return { value: undefined };
+	}
+
+	[enqueue]({ permits }, waiter) {
+		const entry = { permits, waiter };
+		this.#waiters.push(entry);
+		return () => {
+			// Those queued behind may fit once it is gone.
+			if (remove(this.#waiters, entry)) {
+				this.#grant();
+			}
+		};
+	}
+
+	[give](permits) {
+		this.#available += permits;
+		this.#grant();
+	}
+
+	#grant() {
+		while (
+			this.#waiters.length > 0 &&
+			this.#waiters[0].permits <= this.#available
+		) {
+			const { permits, waiter } = this.#waiters.shift();
+			this.#available -= permits;
+			if (!waiter.fire(undefined)) {
+				this.#available += permits;
+			}
+		}
+	}
+}
+
+/**
+ * A semaphore with a single permit. `yield mutex.lock()` waits until no
+ * other task holds it, and resumes with a function unlocking it.
+ */
+export class Mutex extends Semaphore {
+	constructor() {
+		super(1);
+	}
+
+	lock() {
+		return this.acquire(1);
+	}
+
+	get locked() {
+		return this.available === 0;
+	}
+}
+
+/**
+ * Waits for whichever of the `put`, `take` and `acquire` operations in
+ * `cases` can go through first, and only carries out that one. Resumes with
+ * the `index` of that operation in `cases` and the `value` it resumed with.
+ * When several can go through right away, the first of them is chosen.
+ */
+export const select = (cases) => effect("select", { cases });
+
+const targetOf = (op) => op.channel ?? op.semaphore;
+
+// The function giving back the permits acquired by `op`, which is also
+// called by `hold` once the task settles if it was not called before.
+const lease = ({ semaphore, permits }, hold) => {
+	let released = false;
+	const release = () => {
+		if (released) {
+			return;
+		}
+		released = true;
+		unhold();
+		semaphore[give](permits);
+	};
+	const unhold = hold(release);
+	return release;
+};
+
+// Undoes `op`, which went through with `result`, for a task that stopped
+// waiting before it could resume with it: a taken value goes back to its
+// channel, and acquired permits are given back. A put has been taken already.
+const undo = (op, result) => {
+	if (op.type === "take" && result !== CLOSED) {
+		op.channel[restore](result);
+	} else if (op.type === "acquire") {
+		result();
+	}
+};
+
+// Runs a `put`, `take`, `acquire` or `select` effect: calls `resolve` with
+// what to resume with as soon as it goes through, or `reject` if it cannot.
+// Returns a function withdrawing it if it has to wait, or nothing if it went
+// through right away. `hold(release)` ties acquired permits to the task, and
+// `undoable(undo)` is given what to call if the task stops waiting before
+// resuming with what `resolve` was called with.
+export const waitFor = (op, { resolve, reject, hold, undoable }) => {
+	const selecting = op.type === "select";
+	const cases = selecting ? op.cases : [op];
+	const settle = (index, value) => {
+		const result =
+			cases[index].type === "acquire" ? lease(cases[index], hold) : value;
+		undoable(() => undo(cases[index], result));
+		resolve(selecting ? { index, value: result } : result);
+	};
+	for (let i = 0; i < cases.length; i += 1) {
+		const ready = targetOf(cases[i])[attempt](cases[i]);
+		if (ready) {
+			settle(i, ready.value);
+			return undefined;
+		}
+	}
+	let done = false;
+	const withdraw = () => {
+		done = true;
+		for (const withdrawCase of withdrawals) {
+			withdrawCase();
+		}
+	};
+	const withdrawals = cases.map((x, i) =>
+		targetOf(x)[enqueue](x, {
+			fire: (value) => {
+				if (done) {
+					return false;
+				}
+				withdraw();
+				settle(i, value);
+				return true;
+			},
+			fail: (err) => {
+				if (!done) {
+					withdraw();
+					reject(err);
+				}
+			},
+		}),
+	);
+	return withdraw;
+};
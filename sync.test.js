@@ -0,0 +1,351 @@
+import { describe, expect, it } from "vitest";
+import {
+	AbortError,
+	CLOSED,
+	Channel,
+	ChannelClosedError,
+	Mutex,
+	Semaphore,
+	TimeoutError,
+	asynk,
+	select,
+	stepThrough,
+} from "./main.js";
+
+const timeout = (x, resolve = true) =>
+	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
+
+describe("Channels", () => {
+	it("Should make an unbuffered put wait for a take", async () => {
+		const log = [];
+		const channel = new Channel();
+		const producer = asynk(function* () {
+			log.push("put");
+			yield channel.put("a");
+			log.push("put done");
+		});
+		const consumer = asynk(function* () {
+			yield timeout();
+			log.push("take");
+			const value = yield channel.take();
+			log.push(`took ${value}`);
+		});
+		await Promise.all([producer, consumer]);
+		expect(log).toEqual(["put", "take", "put done", "took a"]);
+	});
+
+	it("Should only make a buffered put wait once the buffer is full", async () => {
+		const channel = new Channel(2);
+		const log = [];
+		const producer = asynk(function* () {
+			for (const x of [1, 2, 3]) {
+				yield channel.put(x);
+				log.push(`put ${x}`);
+			}
+		});
+		await timeout();
+		expect(log).toEqual(["put 1", "put 2"]);
+		expect(channel.size).toBe(2);
+		const taken = asynk(function* () {
+			return [yield channel.take(), yield channel.take(), yield channel.take()];
+		});
+		await expect(taken).resolves.toEqual([1, 2, 3]);
+		await producer;
+		expect(log).toEqual(["put 1", "put 2", "put 3"]);
+	});
+
+	it("Should resume takes with CLOSED once closed and drained", async () => {
+		const channel = new Channel(1);
+		const waiting = asynk(function* () {
+			return yield channel.take();
+		});
+		const putter = asynk(function* () {
+			yield channel.put("a");
+			yield channel.put("b");
+			yield channel.put("c");
+		});
+		await expect(waiting).resolves.toBe("a");
+		channel.close();
+		await expect(putter).rejects.toBeInstanceOf(ChannelClosedError);
+		const rest = asynk(function* () {
+			return [yield channel.take(), yield channel.take()];
+		});
+		await expect(rest).resolves.toEqual(["b", CLOSED]);
+		const late = asynk(function* () {
+			yield channel.put("d");
+		});
+		await expect(late).rejects.toBeInstanceOf(ChannelClosedError);
+	});
+
+	it("Should run a pipeline of tasks", async () => {
+		const numbers = new Channel();
+		const squares = new Channel(2);
+		asynk(function* produce() {
+			for (let i = 1; i <= 5; i += 1) {
+				yield numbers.put(i);
+			}
+			numbers.close();
+		});
+		asynk(function* square() {
+			for (;;) {
+				const n = yield numbers.take();
+				if (n === CLOSED) {
+					squares.close();
+					return;
+				}
+				yield timeout();
+				yield squares.put(n * n);
+			}
+		});
+		const consume = asynk(function* () {
+			const results = [];
+			for (;;) {
+				const x = yield squares.take();
+				if (x === CLOSED) {
+					return results;
+				}
+				results.push(x);
+			}
+		});
+		await expect(consume).resolves.toEqual([1, 4, 9, 16, 25]);
+	});
+
+	it("Should hand a value to another task once a waiting take is cancelled", async () => {
+		const channel = new Channel();
+		const cancelled = asynk(function* () {
+			return yield channel.take();
+		});
+		const other = asynk(function* () {
+			return yield channel.take();
+		});
+		cancelled.cancel();
+		await expect(cancelled).rejects.toBeInstanceOf(AbortError);
+		const putter = asynk(function* () {
+			yield channel.put("a");
+		});
+		await expect(other).resolves.toBe("a");
+		await putter;
+	});
+
+	it("Should put back a value taken by a task cancelled before it resumed", async () => {
+		const channel = new Channel();
+		const taker = asynk(function* () {
+			return yield channel.take();
+		});
+		const putter = asynk(function* () {
+			yield channel.put("a");
+			return "put ok";
+		});
+		taker.cancel();
+		await expect(taker).rejects.toBeInstanceOf(AbortError);
+		await expect(putter).resolves.toBe("put ok");
+		expect(channel.size).toBe(1);
+		channel.close();
+		const next = asynk(function* () {
+			return [yield channel.take(), yield channel.take()];
+		});
+		await expect(next).resolves.toEqual(["a", CLOSED]);
+	});
+
+	it("Should point debug stacks at the yield of a channel operation", async () => {
+		asynk.debug();
+		try {
+			const channel = new Channel();
+			channel.close();
+			const result = asynk(function* putting() {
+				yield channel.put("a");
+			});
+			const err = await result.catch((x) => x);
+			expect(err).toBeInstanceOf(ChannelClosedError);
+			expect(err.stack).toMatch(
+				/\n {4}at async putting \(.*sync\.test\.js:\d+:\d+\)$/,
+			);
+		} finally {
+			asynk.debug(false);
+		}
+	});
+});
+
+describe("select", () => {
+	it("Should go with the first operation that can go through", async () => {
+		const a = new Channel(1);
+		const b = new Channel(1);
+		const result = asynk(function* () {
+			yield b.put("from b");
+			return yield select([a.take(), b.take()]);
+		});
+		await expect(result).resolves.toEqual({ index: 1, value: "from b" });
+	});
+
+	it("Should only carry out the operation it went with", async () => {
+		const a = new Channel();
+		const b = new Channel();
+		const result = asynk(function* () {
+			return yield select([a.take(), b.take()]);
+		});
+		const putter = asynk(function* () {
+			yield timeout();
+			yield a.put("from a");
+		});
+		await expect(result).resolves.toEqual({ index: 0, value: "from a" });
+		await putter;
+		// The take from b was withdrawn, so this put has to wait for another.
+		const waiting = asynk(function* () {
+			yield b.put("from b");
+			return "put";
+		});
+		const taker = asynk(function* () {
+			yield timeout();
+			return yield b.take();
+		});
+		await expect(taker).resolves.toBe("from b");
+		await expect(waiting).resolves.toBe("put");
+	});
+
+	it("Should select puts and acquires too", async () => {
+		const full = new Channel();
+		const mutex = new Mutex();
+		const result = asynk(function* () {
+			const { index, value } = yield select([full.put("x"), mutex.lock()]);
+			expect(mutex.locked).toBe(true);
+			value();
+			return index;
+		});
+		await expect(result).resolves.toBe(1);
+		expect(mutex.locked).toBe(false);
+	});
+
+	it("Should be visible to stepThrough as an effect", () => {
+		const channel = new Channel();
+		const saga = stepThrough(function* () {
+			return yield select([channel.take(), channel.put(1)]);
+		});
+		expect(saga.next().value).toEqual(select([channel.take(), channel.put(1)]));
+	});
+});
+
+describe("Mutex and Semaphore", () => {
+	it("Should let one task at a time hold a mutex", async () => {
+		const mutex = new Mutex();
+		const log = [];
+		const worker = (name) =>
+			asynk(function* () {
+				const unlock = yield mutex.lock();
+				try {
+					log.push(`lock ${name}`);
+					yield timeout();
+					log.push(`unlock ${name}`);
+				} finally {
+					unlock();
+				}
+			});
+		await Promise.all([worker("a"), worker("b"), worker("c")]);
+		expect(log).toEqual([
+			"lock a",
+			"unlock a",
+			"lock b",
+			"unlock b",
+			"lock c",
+			"unlock c",
+		]);
+		expect(mutex.locked).toBe(false);
+	});
+
+	it("Should unlock a mutex held by a task that throws or is cancelled", async () => {
+		const mutex = new Mutex();
+		const failing = asynk(function* () {
+			yield mutex.lock();
+			yield timeout();
+			throw new Error("ERROR");
+		});
+		await expect(failing).rejects.toThrow("ERROR");
+		expect(mutex.locked).toBe(false);
+		const stuck = asynk(function* () {
+			yield mutex.lock();
+			yield new Promise(() => {});
+		});
+		const next = asynk(function* () {
+			const unlock = yield mutex.lock();
+			unlock();
+			return "locked";
+		});
+		stuck.cancel();
+		await expect(stuck).rejects.toBeInstanceOf(AbortError);
+		await expect(next).resolves.toBe("locked");
+	});
+
+	it("Should not give a mutex to a task that stopped waiting for it", async () => {
+		const mutex = new Mutex();
+		const holder = asynk(function* () {
+			const unlock = yield mutex.lock();
+			yield new Promise((resolve) => setTimeout(resolve, 30));
+			unlock();
+		});
+		const impatient = asynk(
+			function* () {
+				yield mutex.lock();
+			},
+			{ stepTimeout: 5 },
+		);
+		const cancelled = asynk(function* () {
+			yield mutex.lock();
+		});
+		cancelled.cancel();
+		await Promise.all([
+			expect(impatient).rejects.toBeInstanceOf(TimeoutError),
+			expect(cancelled).rejects.toBeInstanceOf(AbortError),
+		]);
+		await holder;
+		expect(mutex.locked).toBe(false);
+	});
+
+	it("Should give back a mutex locked for a task cancelled before it resumed", async () => {
+		const mutex = new Mutex();
+		const cancelled = asynk(function* () {
+			yield mutex.lock();
+			return "locked";
+		});
+		expect(mutex.locked).toBe(true);
+		cancelled.cancel();
+		await expect(cancelled).rejects.toBeInstanceOf(AbortError);
+		expect(mutex.locked).toBe(false);
+	});
+
+	it("Should hand out at most the permits of a semaphore", async () => {
+		const semaphore = new Semaphore(3);
+		let held = 0;
+		let maxHeld = 0;
+		const worker = (permits) =>
+			asynk(function* () {
+				const release = yield semaphore.acquire(permits);
+				held += permits;
+				maxHeld = Math.max(maxHeld, held);
+				yield timeout();
+				held -= permits;
+				release();
+				release();
+			});
+		await Promise.all([1, 2, 2, 1, 3, 1].map(worker));
+		expect(maxHeld).toBe(3);
+		expect(semaphore.available).toBe(3);
+	});
+
+	it("Should hand out permits in the order they were asked for", async () => {
+		const semaphore = new Semaphore(2);
+		const log = [];
+		const worker = (name, permits) =>
+			asynk(function* () {
+				const release = yield semaphore.acquire(permits);
+				log.push(name);
+				yield timeout();
+				release();
+			});
+		await Promise.all([
+			worker("a", 1),
+			worker("b", 2),
+			worker("c", 1),
+			worker("d", 1),
+		]);
+		expect(log).toEqual(["a", "b", "c", "d"]);
+	});
+});
@@ -0,0 +1,100 @@
+const PID = 1;
+
+const toMicroseconds = (ms) => ms * 1000;
+
+/**
+ * Turns the events of `asynk.instrument` into Chrome trace events: every task
+ * gets its own track, made of the intervals during which its generator was
+ * running and those during which it was suspended at a `yield`.
+ * Created by `asynk.record()`, which registers its `hooks`.
+ */
+export class TraceRecorder {
+	constructor() {
+		this.events = [];
+		// The interval each task is currently in, by task id.
+		this.intervals = new Map();
+		this.hooks = {
+			onStart: (event) => {
+				this.events.push({
+					name: "thread_name",
+					ph: "M",
+					pid: PID,
+					tid: event.id,
+					args: { name: `${event.name || "<anonymous>"} #${event.id}` },
+				});
+				this.#begin(event, "running");
+			},
+			onYield: (event) => {
+				this.#end(event.id, event.time);
+				this.#begin(event, "suspended");
+			},
+			onResume: (event) => {
+				this.#end(event.id, event.time);
+				this.#begin(event, "running");
+			},
+			onSettle: (event) => {
+				this.#end(event.id, event.time);
+				this.events.push({
+					name: event.state,
+					cat: "asynk",
+					ph: "i",
+					s: "t",
+					ts: toMicroseconds(event.time),
+					pid: PID,
+					tid: event.id,
+					args: { steps: event.step, duration: event.duration },
+				});
+			},
+		};
+	}
+
+	#begin({ id, name, parentId, step, time }, phase) {
+		this.intervals.set(id, { name, parentId, step, time, phase });
+	}
+
+	#end(id, time) {
+		const interval = this.intervals.get(id);
+		if (!interval) {
+			return;
+		}
+		this.intervals.delete(id);
+		this.events.push(this.#complete(id, interval, time));
+	}
+
+	#complete(id, { name, parentId, step, time, phase }, end) {
+		return {
+			name: phase === "running" ? name || "<anonymous>" : `yield #${step}`,
+			cat: phase === "running" ? "asynk" : "asynk.suspended",
+			ph: "X",
+			ts: toMicroseconds(time),
+			dur: toMicroseconds(end - time),
+			pid: PID,
+			tid: id,
+			args: { parentId, step },
+		};
+	}
+
+	/**
+	 * The trace-event object. Intervals of tasks that have not settled yet end
+	 * at the time it is called.
+	 */
+	toJSON() {
+		const now = performance.now();
+		const unfinished = [...this.intervals].map(([id, interval]) =>
+			this.#complete(id, interval, now),
+		);
+		return {
+			traceEvents: [...this.events, ...unfinished],
+			displayTimeUnit: "ms",
+		};
+	}
+
+	/**
+	 * Writes the trace to the file at `path`, resolving once it is written.
+	 */
+	save(path) {
+		return import("node:fs/promises").then((fs) =>
+			fs.writeFile(path, JSON.stringify(this)),
+		);
+	}
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import { readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { asynk } from "./main.js";
+
+const timeout = (x, resolve = true) =>
+	new Promise((res, rej) => setTimeout(resolve ? res : rej, 0, x));
+
+describe("Trace recorder", () => {
+	it("Should record running and suspended intervals per task", async () => {
+		const recorder = asynk.record();
+		await asynk(function* traced() {
+			yield timeout(1);
+			yield timeout(2);
+		});
+		recorder.stop();
+		const { traceEvents } = recorder.toJSON();
+		const [thread] = traceEvents.filter((e) => e.ph === "M");
+		expect(thread.args.name).toMatch(/^traced #\d+$/);
+		const slices = traceEvents
+			.filter((e) => e.ph === "X" && e.tid === thread.tid)
+			.map((e) => e.name);
+		expect(slices).toEqual([
+			"traced",
+			"yield #1",
+			"traced",
+			"yield #2",
+			"traced",
+		]);
+		const settled = traceEvents.filter((e) => e.ph === "i");
+		expect(settled).toEqual([
+			expect.objectContaining({ name: "fulfilled", tid: thread.tid }),
+		]);
+	});
+
+	it("Should lay intervals out back to back", async () => {
+		const recorder = asynk.record();
+		await asynk(function* () {
+			yield timeout(1);
+		});
+		recorder.stop();
+		const [running, suspended, resumed] = recorder
+			.toJSON()
+			.traceEvents.filter((e) => e.ph === "X");
+		expect(suspended.ts).toBeCloseTo(running.ts + running.dur);
+		expect(resumed.ts).toBeCloseTo(suspended.ts + suspended.dur);
+		expect(suspended.dur).toBeGreaterThan(0);
+	});
+
+	it("Should include the intervals of tasks still pending", () => {
+		const recorder = asynk.record();
+		const pending = asynk(function* () {
+			yield new Promise(() => {});
+		});
+		recorder.stop();
+		const slices = recorder.toJSON().traceEvents.filter((e) => e.ph === "X");
+		expect(slices.map((e) => e.name)).toEqual(["<anonymous>", "yield #1"]);
+		pending.catch(() => {});
+		pending.cancel();
+	});
+
+	it("Should save the trace as JSON", async () => {
+		const recorder = asynk.record();
+		await asynk(function* () {
+			yield timeout(1);
+		});
+		recorder.stop();
+		const path = join(tmpdir(), `asynk-trace-${process.pid}.json`);
+		await recorder.save(path);
+		const saved = JSON.parse(await readFile(path, "utf8"));
+		await rm(path);
+		expect(saved.traceEvents).toHaveLength(recorder.events.length);
+		expect(saved.displayTimeUnit).toBe("ms");
+	});
+});